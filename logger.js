@@ -1,19 +1,35 @@
 import winston from 'winston';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { redact, hasHashKey } from './services/redaction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Create logs directory
 import fs from 'fs';
-const logsDir = path.join(__dirname, 'logs');
+export const logsDir = process.env.LOG_DIR || path.join(__dirname, 'logs');
 if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Files the transports below write; winston rotates them to error1.log, error2.log, ...
+const LOG_FILE_PATTERN = /^(error|combined|webhooks)\d*\.log$/i;
+export const isLoggerFile = (filename) => LOG_FILE_PATTERN.test(filename);
+
+// Masks or hashes personal data (see services/redaction.js) before any transport sees the entry
+const redactFields = winston.format((info) => {
+    const redacted = redact(info);
+    Object.keys(info).forEach(key => {
+        if (key in redacted) info[key] = redacted[key];
+        else delete info[key];
+    });
+    return info;
+});
+
 // Custom log format
 const logFormat = winston.format.combine(
+    redactFields(),
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true }),
     winston.format.printf(({ level, message, timestamp, ...meta }) => {
@@ -59,8 +75,10 @@ const logger = winston.createLogger({
             level: 'info',
             maxsize: 5242880, // 5MB
             maxFiles: 5,
+            // The logger-wide timestamp above is whole-second local time; queries and the reference
+            // timeline merge these entries with journal times, so they get ISO milliseconds instead
             format: winston.format.combine(
-                winston.format.timestamp(),
+                winston.format.timestamp({ format: () => new Date().toISOString() }),
                 winston.format.json()
             )
         }),
@@ -79,4 +97,18 @@ const logger = winston.createLogger({
     ]
 });
 
+if (!hasHashKey) {
+    logger.warn('REDACTION_HASH_KEY is not set; hashed log fields use unkeyed SHA-256', {
+        type: 'redaction_hash_key_missing'
+    });
+}
+
+// End the logger and resolve once every file transport has written out its buffer
+export function flushLogger() {
+    const fileTransports = logger.transports.filter(transport => transport instanceof winston.transports.File);
+    const flushed = Promise.all(fileTransports.map(transport => new Promise(resolve => transport.once('finish', resolve))));
+    logger.end();
+    return flushed;
+}
+
 export default logger;
\ No newline at end of file
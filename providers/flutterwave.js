@@ -0,0 +1,47 @@
+import { safeCompareStrings } from '../services/signatures.js';
+
+// Flutterwave echoes the dashboard "secret hash" back in the verif-hash header
+export default {
+    id: 'flutterwave',
+    name: 'Flutterwave',
+    signatureHeader: 'verif-hash',
+    secretEnv: ['FLUTTERWAVE_SECRET_HASH', 'FLUTTERWAVE_SECRET_HASHES'],
+
+    verifySignature(req, secrets) {
+        const signature = req.get('verif-hash');
+        if (!signature) return { valid: false, reason: 'missing_signature' };
+
+        const secretIndex = secrets.findIndex(secret => safeCompareStrings(secret, signature));
+        return secretIndex === -1
+            ? { valid: false, reason: 'invalid_signature' }
+            : { valid: true, secretIndex };
+    },
+
+    extract(body) {
+        const { event, data } = body;
+        return {
+            event,
+            eventId: data?.id,
+            reference: data?.tx_ref,
+            amount: data?.amount,
+            currency: data?.currency,
+            customerEmail: data?.customer?.email,
+            customerCode: data?.customer?.id,
+            channel: data?.payment_type,
+            metadata: data?.meta || {},
+            subaccount: data?.subaccounts?.[0]?.id
+        };
+    },
+
+    sign(rawBody, secret) {
+        return { 'verif-hash': secret };
+    },
+
+    captureHeaders(req) {
+        return { 'verif-hash': req.get('verif-hash') };
+    },
+
+    outboundHeaders(headers) {
+        return { 'verif-hash': headers['verif-hash'] };
+    }
+};
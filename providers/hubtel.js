@@ -0,0 +1,50 @@
+import { safeCompareStrings } from '../services/signatures.js';
+
+// Hubtel callbacks are unsigned, so the callback URL carries a shared token: /webhooks/hubtel?token=...
+export default {
+    id: 'hubtel',
+    name: 'Hubtel',
+    signatureHeader: null,
+    secretEnv: ['HUBTEL_CALLBACK_TOKEN', 'HUBTEL_CALLBACK_TOKENS'],
+
+    verifySignature(req, secrets) {
+        const token = req.query.token;
+        if (!token) return { valid: false, reason: 'missing_signature' };
+
+        const secretIndex = secrets.findIndex(secret => safeCompareStrings(secret, token));
+        return secretIndex === -1
+            ? { valid: false, reason: 'invalid_signature' }
+            : { valid: true, secretIndex };
+    },
+
+    extract(body) {
+        const data = body.Data || {};
+        const status = data.Status ?? body.Status;
+        return {
+            // No usable Status, no event: the dispatcher answers 400
+            event: typeof status === 'string' && status.trim() ? `checkout.${status.trim().toLowerCase()}` : null,
+            eventId: data.CheckoutId,
+            reference: data.ClientReference,
+            amount: data.Amount,
+            currency: 'GHS',
+            customerEmail: data.CustomerEmail,
+            customerCode: data.CustomerPhoneNumber,
+            channel: data.PaymentDetails?.Channel,
+            metadata: {},
+            subaccount: undefined
+        };
+    },
+
+    // The callback token travels in the query string, so there is nothing to put on the request
+    sign() {
+        return {};
+    },
+
+    captureHeaders() {
+        return {};
+    },
+
+    outboundHeaders() {
+        return {};
+    }
+};
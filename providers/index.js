@@ -0,0 +1,50 @@
+import logger from '../logger.js';
+import { loadSecrets } from '../services/signatures.js';
+import paystack from './paystack.js';
+import flutterwave from './flutterwave.js';
+import hubtel from './hubtel.js';
+import stripe from './stripe.js';
+
+/**
+ * Payment-provider adapters. Each adapter defines:
+ *   id, name, signatureHeader       - identity and the header logged as present/missing
+ *   secretEnv                       - env vars holding accepted secrets (comma-separated for rotation)
+ *   verifySignature(req, secrets)   - { valid, reason?, secretIndex? }, checked against req.rawBody
+ *   extract(body)                   - { event, eventId, reference, amount, currency, customerEmail, customerCode,
+ *                                       channel, metadata, subaccount }; reference may be absent (e.g. subscriptions),
+ *                                     a body without a usable event type gives a null event (answered 400)
+ *   sign(rawBody, secret)           - provider signature headers for a body we build ourselves (test webhooks),
+ *                                     in the same shape captureHeaders returns
+ *   captureHeaders(req)             - inbound headers to persist with the delivery
+ *   outboundHeaders(headers)        - headers to add when forwarding, built from the persisted ones
+ *
+ * Adapters with no secret configured are left disabled.
+ */
+const ADAPTERS = [paystack, flutterwave, hubtel, stripe];
+
+const PROVIDERS = new Map(ADAPTERS.map(adapter => [adapter.id, {
+    adapter,
+    secrets: loadSecrets(...adapter.secretEnv)
+}]));
+
+export function getProvider(id) {
+    return PROVIDERS.get(id);
+}
+
+export function listProviders() {
+    return [...PROVIDERS.values()].map(({ adapter, secrets }) => ({
+        id: adapter.id,
+        name: adapter.name,
+        enabled: secrets.length > 0,
+        secrets_configured: secrets.length
+    }));
+}
+
+export function enabledProviders() {
+    return listProviders().filter(p => p.enabled).map(p => p.id);
+}
+
+logger.info('Payment providers loaded', {
+    type: 'providers_loaded',
+    providers: listProviders().map(({ id, enabled }) => ({ id, enabled }))
+});
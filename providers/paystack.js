@@ -0,0 +1,58 @@
+import { computeHmac, findMatchingSecret } from '../services/signatures.js';
+
+// Paystack sometimes delivers checkout metadata as a JSON string
+function parseMetadata(metadata) {
+    if (typeof metadata !== 'string') return metadata || {};
+    try {
+        return JSON.parse(metadata);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Paystack signs the raw body with HMAC-SHA512 of the secret key
+export default {
+    id: 'paystack',
+    name: 'Paystack',
+    signatureHeader: 'x-paystack-signature',
+    secretEnv: ['PAYSTACK_SECRET_KEY', 'PAYSTACK_SECRET_KEYS'],
+
+    verifySignature(req, secrets) {
+        const signature = req.get('x-paystack-signature');
+        if (!signature) return { valid: false, reason: 'missing_signature' };
+
+        const secretIndex = findMatchingSecret('sha512', secrets, req.rawBody || '', signature);
+        return secretIndex === -1
+            ? { valid: false, reason: 'invalid_signature' }
+            : { valid: true, secretIndex };
+    },
+
+    extract(body) {
+        const { event, data } = body;
+        return {
+            event,
+            eventId: data?.id,
+            // Refunds name the charge in transaction_reference, disputes under transaction
+            reference: data?.reference ?? data?.transaction_reference ?? data?.transaction?.reference,
+            amount: data?.amount,
+            currency: data?.currency,
+            customerEmail: data?.customer?.email,
+            customerCode: data?.customer?.customer_code,
+            channel: data?.channel,
+            metadata: parseMetadata(data?.metadata),
+            subaccount: data?.subaccount?.subaccount_code
+        };
+    },
+
+    sign(rawBody, secret) {
+        return { 'x-paystack-signature': computeHmac('sha512', secret, rawBody) };
+    },
+
+    captureHeaders(req) {
+        return { 'x-paystack-signature': req.get('x-paystack-signature') };
+    },
+
+    outboundHeaders(headers) {
+        return { 'X-Paystack-Signature': headers['x-paystack-signature'] };
+    }
+};
@@ -0,0 +1,64 @@
+import { computeHmac, safeCompareHex } from '../services/signatures.js';
+
+const TOLERANCE_SEC = parseInt(process.env.STRIPE_SIGNATURE_TOLERANCE_SEC, 10) || 300;
+
+// Stripe-Signature: t=<unix>,v1=<hex hmac-sha256 of "<t>.<raw body>">[,v1=...]
+export default {
+    id: 'stripe',
+    name: 'Stripe',
+    signatureHeader: 'stripe-signature',
+    secretEnv: ['STRIPE_WEBHOOK_SECRET', 'STRIPE_WEBHOOK_SECRETS'],
+
+    verifySignature(req, secrets) {
+        const header = req.get('stripe-signature');
+        if (!header) return { valid: false, reason: 'missing_signature' };
+
+        const parts = header.split(',').map(part => part.split('='));
+        const timestamp = parts.find(([key]) => key === 't')?.[1];
+        const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+        if (!timestamp || signatures.length === 0) return { valid: false, reason: 'invalid_signature' };
+        if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SEC) {
+            return { valid: false, reason: 'timestamp_out_of_tolerance' };
+        }
+
+        const signedPayload = `${timestamp}.${(req.rawBody || '').toString('utf8')}`;
+        const secretIndex = secrets.findIndex(secret => {
+            const expected = computeHmac('sha256', secret, signedPayload);
+            return signatures.some(signature => safeCompareHex(expected, signature));
+        });
+
+        return secretIndex === -1
+            ? { valid: false, reason: 'invalid_signature' }
+            : { valid: true, secretIndex };
+    },
+
+    extract(body) {
+        const object = body.data?.object || {};
+        return {
+            event: body.type,
+            eventId: body.id,
+            reference: object.metadata?.reference ?? object.client_reference_id ?? object.id,
+            amount: object.amount ?? object.amount_total,
+            currency: object.currency,
+            customerEmail: object.receipt_email ?? object.customer_details?.email,
+            customerCode: typeof object.customer === 'string' ? object.customer : object.customer?.id,
+            channel: object.payment_method_types?.[0],
+            metadata: object.metadata || {},
+            subaccount: object.transfer_data?.destination
+        };
+    },
+
+    sign(rawBody, secret) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        return { 'stripe-signature': `t=${timestamp},v1=${computeHmac('sha256', secret, `${timestamp}.${rawBody}`)}` };
+    },
+
+    captureHeaders(req) {
+        return { 'stripe-signature': req.get('stripe-signature') };
+    },
+
+    outboundHeaders(headers) {
+        return { 'Stripe-Signature': headers['stripe-signature'] };
+    }
+};
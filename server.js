@@ -1,17 +1,132 @@
+import 'dotenv/config'; // Load .env before any module reads process.env
 import express from 'express';
-import crypto from 'crypto';
 import axios from 'axios';
-import dotenv from 'dotenv';
 import cors from 'cors';
 import morgan from 'morgan';
-import logger from './logger.js'; // Custom logger module
+import logger, { flushLogger } from './logger.js'; // Custom logger module
 import { v4 as uuidv4 } from 'uuid';
-
-dotenv.config();
+import { getProvider, listProviders, enabledProviders } from './providers/index.js';
+import {
+    validateSystem,
+    listSystems,
+    enabledSystems,
+    getSystem,
+    acceptsEvent,
+    systemsForEvent,
+    subscribedSystems,
+    systemPriority,
+    createSystem,
+    replaceSystem,
+    patchSystem,
+    rotateSigningSecret,
+    deleteSystem,
+    toPublicSystem
+} from './services/systems.js';
+import { SCOPES, scopeAllows, authenticateKey, createApiKey, listApiKeys, revokeApiKey } from './services/apiKeys.js';
+import { recordAudit, listAudit } from './services/audit.js';
+import { validateRule, listRules, getRule, createRule, updateRule, deleteRule, matchRule } from './services/routingRules.js';
+import * as resolutionCache from './services/resolutionCache.js';
+import * as metrics from './services/metrics.js';
+import { getHealthSnapshot, getHealthHistory, startHealthMonitor } from './services/healthMonitor.js';
+import { canRequest, wouldAllowRequest, recordSuccess, recordFailure, releaseTrial, retryAfter, getBreakerState, forgetBreaker } from './services/circuitBreakers.js';
+import { safeCompareStrings, signDispatch, generateSigningSecret } from './services/signatures.js';
+import { buildEventKey, claimEvent, recordOutcome, releaseEvent, getDedupStats, startDedupSweeper } from './services/dedup.js';
+import {
+    createDelivery,
+    attemptDelivery,
+    getDelivery,
+    findSubscriberCopy,
+    listDeliveries,
+    routeDelivery,
+    markUnroutable,
+    markFiltered,
+    holdForReview,
+    discardDelivery,
+    isInFlight,
+    inFlightDeliveries,
+    deliveryTarget,
+    getDeliveryStats,
+    startRetryWorker
+} from './services/deliveries.js';
+import {
+    validateSubscriber,
+    listSubscribers,
+    getSubscriber,
+    matchSubscribers,
+    createSubscriber,
+    patchSubscriber,
+    rotateSubscriberSecret,
+    deleteSubscriber,
+    toPublicSubscriber
+} from './services/subscribers.js';
+import { readWebhookLogs, decodeCursor, encodeCursor, isLevel } from './services/logQuery.js';
+import { buildReferenceTimeline } from './services/timeline.js';
+import { openReview, getReview, listReviews, closeReview, getReviewStats } from './services/reviewQueue.js';
+import { collectClaims } from './services/discovery.js';
+import { listTestEventTemplates, validateTestEvent, buildTestEvent } from './services/testEvents.js';
+import { validateTransform, reshapesBody, applyTransform, transformHeaders } from './services/transforms.js';
+import { isAllowedSource, describeAllowlists } from './services/ipAllowlist.js';
+import { getRetentionPolicy, startPayloadRetentionSweeper } from './services/retention.js';
+import * as alertRules from './services/alertRules.js';
+import {
+    validateChannel,
+    toPublicChannel,
+    listChannels,
+    getChannel,
+    createChannel,
+    patchChannel,
+    deleteChannel,
+    sendTestNotification,
+    getChannelStats
+} from './services/alertChannels.js';
+import { evaluateAlerts, listAlerts, forgetRuleAlerts, getAlertStats, startAlertEvaluator } from './services/alerting.js';
+import {
+    takeWebhookToken,
+    checkDiscoveryBudget,
+    recordDiscoveryMiss,
+    getRateLimitStats,
+    startRateLimitSweeper
+} from './services/rateLimiter.js';
+import {
+    ackModeFor,
+    enqueueDispatch,
+    activeDispatches,
+    getDispatchQueueStats,
+    startDispatchQueue
+} from './services/dispatchQueue.js';
+import {
+    addDeadLetter,
+    getDeadLetter,
+    listDeadLetters,
+    markReplayed,
+    discardDeadLetter,
+    getDeadLetterStats
+} from './services/deadLetters.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// TRUST_PROXY: a hop count ("1"), "true", or proxy addresses/CIDRs ("loopback, 10.0.0.0/8").
+// Unset trusts no proxy, so req.ip is the socket address; behind a load balancer that would be the balancer's.
+const TRUST_PROXY = (() => {
+    const value = (process.env.TRUST_PROXY || '').trim();
+    if (value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+})();
+app.set('trust proxy', TRUST_PROXY);
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000;
+
+// At least one provider must have a secret, or every webhook would be rejected
+if (enabledProviders().length === 0) {
+    logger.error('No payment provider secret configured', {
+        type: 'system_config_error',
+        missing: 'PAYSTACK_SECRET_KEY',
+        providers: listProviders().map(p => p.id)
+    });
+    throw new Error('PAYSTACK_SECRET_KEY (or another provider secret) must be set to verify webhook signatures');
+}
+
 // Request ID middleware for tracking
 app.use((req, res, next) => {
     req.id = uuidv4().substring(0, 8);
@@ -19,12 +134,23 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use(cors());
+// Requests arriving on kept-alive connections during shutdown are turned away so the provider retries
+let shuttingDown = false;
+app.use((req, res, next) => {
+    if (!shuttingDown) return next();
+    res.set('Connection', 'close');
+    res.status(503).json({ error: 'Server is shutting down', requestId: req.id });
+});
+
+// Cross-origin access only for explicitly listed origins (e.g. an admin dashboard)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
 
 // Skip logging for health and metrics routes
 app.use((req, res, next) => {
     if (
         req.path === '/health' ||
+        req.path === '/metrics' ||
         req.path === '/admin/metrics'
     ) {
         req._skipLogging = true;
@@ -32,8 +158,11 @@ app.use((req, res, next) => {
     next();
 });
 
+// Hubtel callbacks carry their shared token in the query string - keep it out of the logs
+morgan.token('safe-url', (req) => req.originalUrl.replace(/([?&]token=)[^&]*/, '$1[redacted]'));
+
 // Enhanced Morgan logging
-app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" :response-time ms', {
+app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :safe-url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" :response-time ms', {
     stream: {
         write: (message, req) => {
             // Only log if not a health/metrics route
@@ -47,138 +176,453 @@ app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:htt
     }
 }));
 
-app.use(express.json());
-
 // ==============================================
-// 🎫 TICKETING SYSTEMS REGISTRY WITH LOGGING
+// 🚦 WEBHOOK INGRESS: ALLOWLIST & RATE LIMITS
 // ==============================================
-const TICKETING_SYSTEMS = [
-    {
-        id: 'cunsa-nominations',
-        name: 'CUNSA Nominations',
-        baseUrl: 'https://api.cunsanominations.eticketzgh.com',
-        webhookPath: '/api/webhooks/paystack',
-        healthCheck: '/health',
-        enabled: true,
-        timeout: 30000
+const INGRESS_REJECTIONS = {
+    ip_not_allowed: {
+        type: 'webhook_ip_not_allowed',
+        statusCode: 403,
+        message: 'Webhook from an address outside the allowlist',
+        error: 'Source address not allowed'
+    },
+    rate_limited_ip: {
+        type: 'webhook_rate_limited_ip',
+        statusCode: 429,
+        message: 'Webhook rate limit exceeded for source address',
+        error: 'Too many requests from this address'
+    },
+    rate_limited_global: {
+        type: 'webhook_rate_limited_global',
+        statusCode: 429,
+        message: 'Global webhook rate limit exceeded',
+        error: 'Too many requests'
     },
-    {
-        id: 'cunsa-ticketing',
-        name: 'CUNSA Ticketing',
-        baseUrl: 'https://api.cunsa.eticketzgh.com',
-        webhookPath: '/api/webhooks/paystack',
-        healthCheck: '/health',
-        enabled: true,
-        timeout: 30000
-    }
-    // {
-    //     id: 'mmv-voting',
-    //     name: 'MMV Voting',
-    //     baseUrl: 'https://api.nominations.cuministrymmv.org',
-    //     webhookPath: '/api/webhooks/paystack',
-    //     healthCheck: '/health',
-    //     enabled: true,
-    //     timeout: 30000
-    // }
-];
+    rate_limited_discovery: {
+        type: 'webhook_rate_limited_discovery',
+        statusCode: 429,
+        message: 'Too many unresolvable references from source address, discovery refused',
+        error: 'Too many unknown references from this address'
+    }
+};
+const REJECTION_LOG_INTERVAL_MS = 60000;
+
+// When each reason was last logged per address, so a flood costs one log line a minute rather than one per request
+const rejectionLogState = new Map();
+
+function rejectWebhook(req, res, provider, reason, retryAfterMs = null) {
+    const { type, statusCode, message, error } = INGRESS_REJECTIONS[reason];
+    const key = `${reason}:${req.ip}`;
+    const state = rejectionLogState.get(key);
+    const now = Date.now();
+
+    metrics.webhooksRejected.inc({ provider, reason });
+
+    if (!state || now - state.loggedAt >= REJECTION_LOG_INTERVAL_MS) {
+        if (rejectionLogState.size >= 10000) rejectionLogState.clear();
+        rejectionLogState.set(key, { loggedAt: now, suppressed: 0 });
+
+        logger.warn(message, {
+            type,
+            requestId: req.id,
+            provider,
+            ip: req.ip,
+            forwarded_for: req.get('X-Forwarded-For'),
+            retry_after_ms: retryAfterMs,
+            suppressed_since_last_log: state?.suppressed || 0
+        });
+    } else {
+        state.suppressed++;
+    }
+
+    if (retryAfterMs !== null) res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(statusCode).json({ error, requestId: req.id });
+}
+
+// Runs before the body is parsed, so turned-away requests cost no JSON parsing or signature check
+app.use('/webhooks/:provider', (req, res, next) => {
+    const { provider } = req.params;
+
+    if (!isAllowedSource(provider, req.ip)) {
+        return rejectWebhook(req, res, provider, 'ip_not_allowed');
+    }
+
+    const token = takeWebhookToken(req.ip);
+    if (!token.allowed) {
+        return rejectWebhook(req, res, provider, `rate_limited_${token.limit}`, token.retryAfterMs);
+    }
+
+    next();
+});
+
+// Keep the raw bytes so signatures are checked against exactly what was signed
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+
+// ==============================================
+// 🔐 ADMIN AUTHENTICATION & AUDIT TRAIL
+// ==============================================
+const readPresentedKey = (req) => req.get('X-API-Key') || req.get('Authorization')?.replace(/^Bearer\s+/i, '');
+
+app.use('/admin', (req, res, next) => {
+    const presentedKey = readPresentedKey(req);
+    const apiKey = authenticateKey(presentedKey);
+
+    if (!apiKey) {
+        logger.warn('Admin authentication failed', {
+            type: 'admin_auth_failed',
+            requestId: req.id,
+            ip: req.ip,
+            method: req.method,
+            path: req.originalUrl,
+            key_presented: Boolean(presentedKey)
+        });
+        return res.status(401).json({ error: 'A valid API key is required' });
+    }
+
+    req.apiKey = apiKey;
+
+    // Every mutating admin call is audited; handlers add detail through res.locals.audit
+    if (req.method !== 'GET') {
+        res.on('finish', () => {
+            const detail = res.locals.audit || {};
+            recordAudit({
+                requestId: req.id,
+                apiKey,
+                ip: req.ip,
+                method: req.method,
+                path: req.originalUrl,
+                statusCode: res.statusCode,
+                action: detail.action || `${req.method} ${req.route?.path || req.originalUrl}`,
+                target: detail.target ?? req.params?.id ?? req.params?.systemId,
+                before: detail.before,
+                after: detail.after
+            });
+        });
+    }
+
+    next();
+});
+
+// Scopes are ordered read < operator < admin
+const requireScope = (scope) => (req, res, next) => {
+    if (!scopeAllows(req.apiKey.scope, scope)) {
+        logger.warn('Admin request forbidden for key scope', {
+            type: 'admin_auth_forbidden',
+            requestId: req.id,
+            ip: req.ip,
+            key_id: req.apiKey.id,
+            key_scope: req.apiKey.scope,
+            required_scope: scope,
+            path: req.originalUrl
+        });
+        return res.status(403).json({ error: `This action requires the ${scope} scope` });
+    }
+    next();
+};
 
+// ==============================================
+// 🎫 TICKETING SYSTEMS REGISTRY WITH LOGGING
+// ==============================================
+// Systems live in the persistent registry (services/systems.js)
 logger.info('Webhook Dispatcher initialized', {
     type: 'system_startup',
-    systems_count: TICKETING_SYSTEMS.length,
-    systems: TICKETING_SYSTEMS.map(s => ({ id: s.id, name: s.name, enabled: s.enabled }))
+    systems_count: listSystems().length,
+    systems: listSystems().map(s => ({ id: s.id, name: s.name, enabled: s.enabled }))
 });
 
 // ==============================================
 // 📥 ENHANCED MAIN WEBHOOK RECEIVER
 // ==============================================
-app.post('/webhooks/paystack', async (req, res) => {
+
+// Sync-mode webhooks still resolving their target, by requestId. Nothing is journaled for
+// them yet, so a shutdown that cuts them off saves them as deliveries (see gracefulShutdown).
+const unroutedWebhooks = new Map();
+app.post('/webhooks/:provider', async (req, res) => {
     const requestId = req.id;
     const startTime = Date.now();
+    const provider = getProvider(req.params.provider);
+
+    if (!provider || provider.secrets.length === 0) {
+        logger.warn('Webhook received for unknown or unconfigured provider', {
+            type: 'webhook_provider_unknown',
+            requestId,
+            provider: req.params.provider,
+            ip: req.ip
+        });
+        return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    const { adapter, secrets } = provider;
+
+    metrics.webhooksReceived.inc({ provider: adapter.id });
+    res.on('finish', () => {
+        metrics.processingTime.observe(
+            { provider: adapter.id, status_code: res.statusCode },
+            (Date.now() - startTime) / 1000
+        );
+    });
+
+    // Set once this request owns the event, so its answer is replayed to duplicates. Only 2xx
+    // answers are kept: after a 4xx/5xx (dead-lettered) the provider's own retry gets a fresh attempt,
+    // e.g. once the owning system has created the reference
+    let dedupKey = null;
+    const respond = (statusCode, body) => {
+        if (dedupKey && statusCode < 300) recordOutcome(dedupKey, statusCode, body);
+        else if (dedupKey) releaseEvent(dedupKey);
+        return res.status(statusCode).json(body);
+    };
     
     try {
-        logger.info('Webhook received from Paystack', {
+        // express.json only parses (and keeps the raw bytes of) JSON bodies; anything else has nothing to verify or forward
+        if (!req.rawBody || typeof req.body !== 'object' || req.body === null || Array.isArray(req.body)) {
+            logger.warn('Webhook body is not a JSON object', {
+                type: 'webhook_invalid_body',
+                requestId,
+                provider: adapter.id,
+                ip: req.ip,
+                'content-type': req.get('Content-Type')
+            });
+            return res.status(400).json({ error: 'Webhook body must be a JSON object' });
+        }
+
+        logger.info(`Webhook received from ${adapter.name}`, {
             type: 'webhook_received',
             requestId,
+            provider: adapter.id,
+            // As claimed by the not-yet-verified body, so rejected webhooks still show on the reference timeline
+            reference: adapter.extract(req.body || {}).reference,
             headers: {
                 'user-agent': req.get('User-Agent'),
-                'x-paystack-signature': req.get('x-paystack-signature') ? 'present' : 'missing',
+                signature: adapter.signatureHeader && req.get(adapter.signatureHeader) ? 'present' : 'missing',
                 'content-type': req.get('Content-Type')
             },
-            body_size: JSON.stringify(req.body).length
+            body_size: req.rawBody.length
         });
         
-        // Verify Paystack signature
-        const signature = req.headers['x-paystack-signature'];
-        if (!signature) {
-            logger.warn('Missing Paystack signature', {
-                type: 'webhook_security_error',
-                requestId,
-                ip: req.ip
-            });
-            return res.status(400).json({ error: 'Missing signature' });
-        }
+        // Verify provider signature against the raw body
+        const verification = adapter.verifySignature(req, secrets);
 
-        const hash = crypto
-            .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
-            .update(JSON.stringify(req.body))
-            .digest('hex');
-
-        if (hash !== signature) {
-            logger.error('Invalid Paystack signature', {
+        if (!verification.valid) {
+            metrics.signatureFailures.inc({ provider: adapter.id, reason: verification.reason });
+            const log = verification.reason === 'missing_signature' ? logger.warn : logger.error;
+            log.call(logger, `${adapter.name} signature rejected`, {
                 type: 'webhook_security_error',
                 requestId,
+                provider: adapter.id,
                 ip: req.ip,
-                expected_hash: hash.substring(0, 10) + '...',
-                received_signature: signature.substring(0, 10) + '...'
+                reason: verification.reason,
+                secrets_checked: secrets.length
+            });
+            return res.status(400).json({
+                error: verification.reason === 'missing_signature' ? 'Missing signature' : 'Invalid signature'
             });
-            return res.status(400).json({ error: 'Invalid signature' });
         }
 
-        logger.info('Paystack signature verified successfully', {
+        logger.info(`${adapter.name} signature verified successfully`, {
             type: 'webhook_security_success',
-            requestId
+            requestId,
+            provider: adapter.id,
+            secret_index: verification.secretIndex
         });
 
-        const { event, data } = req.body;
-        const paymentReference = data?.reference;
-        const amount = data?.amount;
-        const currency = data?.currency;
+        const {
+            event,
+            eventId,
+            reference: paymentReference,
+            amount,
+            currency,
+            customerEmail,
+            customerCode,
+            channel,
+            metadata,
+            subaccount
+        } = adapter.extract(req.body);
+
+        if (typeof event !== 'string' || !event) {
+            logger.warn('Webhook has no event type', {
+                type: 'webhook_invalid_body',
+                requestId,
+                provider: adapter.id,
+                reference: paymentReference
+            });
+            return res.status(400).json({ error: 'Webhook has no event type' });
+        }
 
+        // Events such as subscription.* carry no reference; rules and the customer code can still route them
         if (!paymentReference) {
-            logger.error('No payment reference in webhook', {
-                type: 'webhook_validation_error',
+            logger.info('Webhook has no payment reference', {
+                type: 'webhook_without_reference',
+                requestId,
+                provider: adapter.id,
+                event,
+                event_id: eventId,
+                customer_code: customerCode
+            });
+        }
+
+        // Providers retry and occasionally double-send - answer copies with the original outcome
+        const eventKey = buildEventKey(adapter.id, event, eventId, paymentReference, req.rawBody);
+        const original = claimEvent(eventKey, requestId);
+
+        if (original) {
+            const originalDeliveryId = original.outcome?.body?.deliveryId;
+            const originalDelivery = originalDeliveryId && getDelivery(originalDeliveryId);
+
+            logger.info('Duplicate webhook suppressed', {
+                type: 'webhook_duplicate_suppressed',
                 requestId,
+                provider: adapter.id,
                 event,
-                data_keys: Object.keys(data || {})
+                reference: paymentReference,
+                event_key: eventKey,
+                original_request_id: original.requestId,
+                original_status: original.outcome?.statusCode || 'processing',
+                duplicates: original.duplicates + 1
+            });
+
+            return res.status(original.outcome?.statusCode || 202).json({
+                ...(original.outcome?.body || { processing: true }),
+                duplicate: true,
+                originalRequestId: original.requestId,
+                ...(originalDelivery && { deliveryStatus: originalDelivery.status })
             });
-            return res.status(400).json({ error: 'No payment reference' });
         }
 
+        dedupKey = eventKey;
+
         logger.info('Processing webhook', {
             type: 'webhook_processing',
             requestId,
+            provider: adapter.id,
             event,
             reference: paymentReference,
             amount,
             currency,
-            customer_email: data?.customer?.email,
-            channel: data?.channel
+            customer_email: customerEmail,
+            channel
         });
 
-        // Find which ticketing system has this payment reference
-        const targetSystem = await findTargetSystemWithImprovedLogic(paymentReference, requestId);
+        // Everything needed to forward (or replay) the event later
+        const message = {
+            provider: adapter.id,
+            event,
+            reference: paymentReference,
+            payload: req.body,
+            rawBody: req.rawBody.toString('utf8'),
+            headers: {
+                ...adapter.captureHeaders(req),
+                'x-forwarded-for': req.headers['x-forwarded-for']
+            }
+        };
+
+        // Subscriber copies are queued first and never wait on, or hold up, the owning system
+        fanOutToSubscribers(message, requestId, eventKey);
+
+        // Async mode: journal the event, answer straight away and let the worker pool route and forward it
+        if (ackModeFor(event) === 'async') {
+            const delivery = createDelivery({ requestId, ...message, sourceIp: req.ip });
+            enqueueDispatch(delivery.id);
+
+            logger.info('Webhook accepted for background dispatch', {
+                type: 'webhook_accepted_async',
+                requestId,
+                delivery_id: delivery.id,
+                provider: adapter.id,
+                event,
+                reference: paymentReference
+            });
+
+            return respond(200, {
+                success: true,
+                accepted: true,
+                requestId,
+                deliveryId: delivery.id
+            });
+        }
+
+        // Find which ticketing system has this payment reference; addresses that keep sending
+        // references nobody recognises lose the right to trigger discovery for a while
+        const discoveryBudget = checkDiscoveryBudget(req.ip);
+        unroutedWebhooks.set(requestId, { message, dedupKey });
+        const { system: targetSystem, routedBy, filtered, claimants, throttled, answers } = await resolveTargetSystem({
+            provider: adapter.id,
+            event,
+            reference: paymentReference,
+            customerCode,
+            metadata,
+            subaccount
+        }, requestId, { allowDiscovery: discoveryBudget.allowed });
+
+        const saved = unroutedWebhooks.get(requestId);
+        unroutedWebhooks.delete(requestId);
+        if (saved?.deliveryId) {
+            // Shutdown journaled it while discovery was running; it is routed again after the restart
+            return respond(202, saved.response);
+        }
+
+        if (filtered) {
+            const delivery = markFiltered(createDelivery({ requestId, ...message }));
+
+            // Nobody wants this event type - acknowledge it so the provider stops resending
+            return respond(200, {
+                success: true,
+                filtered: true,
+                requestId,
+                deliveryId: delivery.id,
+                message: `No system subscribes to ${event} events`
+            });
+        }
+
+        if (throttled) {
+            // Not ours yet - a provider retry after Retry-After gets a fresh chance
+            releaseEvent(dedupKey);
+            dedupKey = null;
+            return rejectWebhook(req, res, adapter.id, 'rate_limited_discovery', discoveryBudget.retryAfterMs);
+        }
+
+        if (claimants) {
+            const delivery = createDelivery({ requestId, ...message });
+            const review = sendForReview(delivery, claimants);
+
+            // The event is journaled and waits for an operator, so the provider must not resend it
+            return respond(202, {
+                success: false,
+                inReview: true,
+                requestId,
+                deliveryId: delivery.id,
+                reviewId: review.id,
+                claimants: review.claimants,
+                message: 'Payment reference claimed by more than one system; held for review'
+            });
+        }
 
         if (!targetSystem) {
+            // Only a discovery that actually ran counts; negative-cache hits cost the systems nothing
+            if (answers) recordDiscoveryMiss(req.ip);
+            metrics.referencesNotFound.inc({ provider: adapter.id });
             logger.warn('No system found for payment reference', {
                 type: 'webhook_system_not_found',
                 requestId,
+                provider: adapter.id,
                 reference: paymentReference,
                 event,
-                searched_systems: TICKETING_SYSTEMS.filter(s => s.enabled).map(s => s.id)
+                searched_systems: systemsForEvent(event).map(s => s.id)
+            });
+
+            const deadLetter = addDeadLetter({
+                reason: 'no_system_found',
+                requestId,
+                ...message
             });
-            return res.status(404).json({ 
+
+            return respond(404, {
                 error: 'Payment reference not found in any system',
-                reference: paymentReference
+                reference: paymentReference,
+                deadLetterId: deadLetter.id
             });
         }
 
@@ -187,17 +631,27 @@ app.post('/webhooks/paystack', async (req, res) => {
             requestId,
             target_system: targetSystem.id,
             system_name: targetSystem.name,
-            reference: paymentReference
+            reference: paymentReference,
+            routed_by: routedBy
+        });
+
+        // Journal the delivery before the first attempt so failures can be retried
+        const delivery = createDelivery({
+            requestId,
+            system: targetSystem,
+            routedBy,
+            ...message
         });
 
         // Forward webhook to the target system
-        const forwardResult = await forwardWebhook(targetSystem, req.body, req.headers, requestId);
+        const { delivery: attempted, result: forwardResult } = await attemptDelivery(delivery, deliverToSystem);
         const processingTime = Date.now() - startTime;
 
         if (forwardResult.success) {
             logger.info('Webhook forwarded successfully', {
                 type: 'webhook_forward_success',
                 requestId,
+                delivery_id: delivery.id,
                 target_system: targetSystem.id,
                 system_name: targetSystem.name,
                 reference: paymentReference,
@@ -206,17 +660,43 @@ app.post('/webhooks/paystack', async (req, res) => {
                 total_time_ms: Date.now() - startTime
             });
 
-            res.status(200).json({ 
+            respond(200, {
                 success: true,
                 requestId,
+                deliveryId: delivery.id,
                 forwardedTo: targetSystem.name,
+                routedBy,
                 processingTime: processingTime,
                 response: forwardResult.data
             });
+        } else if (attempted.status === 'retrying') {
+            logger.warn('Webhook forward failed, queued for retry', {
+                type: 'webhook_forward_queued',
+                requestId,
+                delivery_id: delivery.id,
+                target_system: targetSystem.id,
+                system_name: targetSystem.name,
+                reference: paymentReference,
+                error: forwardResult.error,
+                status: forwardResult.status,
+                next_attempt_at: attempted.nextAttemptAt,
+                processing_time_ms: processingTime
+            });
+
+            // The delivery is journaled, so we own it now - no need for the provider to resend
+            respond(202, {
+                success: false,
+                queued: true,
+                requestId,
+                deliveryId: delivery.id,
+                nextAttemptAt: attempted.nextAttemptAt,
+                details: forwardResult.error
+            });
         } else {
             logger.error('Failed to forward webhook', {
                 type: 'webhook_forward_error',
                 requestId,
+                delivery_id: delivery.id,
                 target_system: targetSystem.id,
                 system_name: targetSystem.name,
                 reference: paymentReference,
@@ -225,15 +705,19 @@ app.post('/webhooks/paystack', async (req, res) => {
                 processing_time_ms: processingTime
             });
 
-            res.status(500).json({ 
+            respond(500, {
                 error: 'Failed to forward webhook',
                 requestId,
+                deliveryId: delivery.id,
                 details: forwardResult.error
             });
         }
 
     } catch (error) {
         const processingTime = Date.now() - startTime;
+
+        unroutedWebhooks.delete(requestId);
+        if (dedupKey) releaseEvent(dedupKey);
         
         logger.error('Webhook dispatcher error', {
             type: 'webhook_dispatcher_error',
@@ -254,175 +738,391 @@ app.post('/webhooks/paystack', async (req, res) => {
 // 🔍 ENHANCED FIND TARGET SYSTEM WITH LOGGING
 // ==============================================
 
-// Updated findTargetSystem with better handling of payment statuses
-async function findTargetSystemWithImprovedLogic(paymentReference, webhookEvent, requestId) {
-    logger.info('Starting system discovery', {
-        type: 'system_discovery_start',
-        requestId,
-        reference: paymentReference,
-        webhook_event: webhookEvent,
-        systems_to_check: TICKETING_SYSTEMS.filter(s => s.enabled).length
-    });
-    
-    const searchPromises = TICKETING_SYSTEMS
-        .filter(system => system.enabled)
-        .map(async (system) => {
-            const systemStartTime = Date.now();
-            
-            try {
-                logger.debug('Checking system for payment reference', {
-                    type: 'system_check_start',
-                    requestId,
-                    system_id: system.id,
-                    system_name: system.name,
-                    reference: paymentReference
-                });
-                
-                const response = await axios.get(
-                    `${system.baseUrl}/api/tickets/verify/${paymentReference}`,
-                    { 
-                        timeout: system.timeout || 5000,
-                        validateStatus: (status) => status < 500 // Accept 200, 400, 404
-                    }
-                );
-
-                const checkTime = Date.now() - systemStartTime;
-
-                if (response.status === 200) {
-                    // System found and handled the reference (success or failure)
-                    const paymentStatus = response.data?.data?.paymentStatus;
-                    
-                    logger.info('Payment reference found and handled by system', {
-                        type: 'system_discovery_success',
-                        requestId,
-                        system_id: system.id,
-                        system_name: system.name,
-                        reference: paymentReference,
-                        payment_status: paymentStatus,
-                        webhook_event: webhookEvent,
-                        response_time_ms: checkTime
-                    });
-                    
-                    return system;
-                }
-                
-                if (response.status === 404) {
-                    // System doesn't have this reference - continue searching
-                    logger.debug('Payment reference not found in system', {
-                        type: 'system_check_not_found',
-                        requestId,
-                        system_id: system.id,
-                        system_name: system.name,
-                        reference: paymentReference,
-                        response_time_ms: checkTime
-                    });
-                    
-                    return null;
-                }
+// Cache key for events without a reference: the customer code, learned from earlier payments
+const customerCacheKey = (customerCode) => (customerCode != null && customerCode !== '' ? `customer:${customerCode}` : null);
+
+/**
+ * Routing rules decide first, then the resolution cache; the verify fan-out is only the fallback.
+ * Only enabled systems subscribed to the event type are candidates. When no system subscribes at
+ * all the result is `filtered`; when the subscribers are all disabled it is `unavailable` (their ids)
+ * and the event goes the not-found way, so it is dead-lettered rather than dropped; events without a reference are never sent through discovery. When several
+ * systems claim the reference the result carries their `claimants` and no system. A `dryRun`
+ * leaves the cache, breakers and routing metrics untouched. With `allowDiscovery` false the result
+ * is `throttled` instead of running discovery.
+ */
+async function resolveTargetSystem(context, requestId, { useCache = true, dryRun = false, allowDiscovery = true } = {}) {
+    const subscribed = subscribedSystems(context.event);
+
+    if (subscribed.length === 0) {
+        if (!dryRun) metrics.eventsFiltered.inc({ provider: context.provider });
+        logger.info('No system subscribes to this event type', {
+            type: 'webhook_event_filtered',
+            requestId,
+            provider: context.provider,
+            event: context.event,
+            reference: context.reference
+        });
+        return { system: null, routedBy: null, filtered: true };
+    }
 
-                // For any other 4xx status, log and continue
-                logger.debug('System returned non-success status', {
-                    type: 'system_check_other_status',
-                    requestId,
-                    system_id: system.id,
-                    system_name: system.name,
-                    reference: paymentReference,
-                    response_status: response.status,
-                    response_time_ms: checkTime
-                });
+    if (!subscribed.some(s => s.enabled)) {
+        logger.warn('Every system subscribed to this event type is disabled', {
+            type: 'webhook_subscribers_disabled',
+            requestId,
+            provider: context.provider,
+            event: context.event,
+            reference: context.reference,
+            disabled_systems: subscribed.map(s => s.id)
+        });
+        return { system: null, routedBy: null, unavailable: subscribed.map(s => s.id) };
+    }
 
-                return null;
+    const { rule, system, skipped } = matchRule(context, subscribed);
 
-            } catch (error) {
-                const checkTime = Date.now() - systemStartTime;
-                
-                logger.warn('System check failed', {
-                    type: 'system_check_error',
-                    requestId,
-                    system_id: system.id,
-                    system_name: system.name,
-                    reference: paymentReference,
-                    error: error.message,
-                    error_code: error.code,
-                    response_time_ms: checkTime
-                });
-                
-                return null;
-            }
+    if (skipped.length > 0) {
+        logger.warn('Routing rules matched but their systems are unavailable', {
+            type: 'routing_rule_skipped',
+            requestId,
+            reference: context.reference,
+            skipped_rules: skipped
         });
+    }
 
-    const results = await Promise.all(searchPromises);
-    const foundSystem = results.find(system => system !== null);
-    
-    if (foundSystem) {
-        logger.info('System discovery completed successfully', {
-            type: 'system_discovery_complete',
+    if (rule) {
+        logger.info('Routing rule matched', {
+            type: 'routing_rule_matched',
             requestId,
-            reference: paymentReference,
-            found_system: foundSystem.id,
-            webhook_event: webhookEvent
+            reference: context.reference,
+            event: context.event,
+            rule_id: rule.id,
+            rule_name: rule.name,
+            target_system: system.id
         });
-    } else {
-        logger.warn('System discovery failed - no system found', {
-            type: 'system_discovery_failed',
+        return { system, routedBy: `rule:${rule.id}` };
+    }
+
+    const cacheKey = context.reference || customerCacheKey(context.customerCode);
+
+    if (useCache && cacheKey) {
+        const cached = resolutionCache.lookup(cacheKey);
+
+        if (cached?.negative) {
+            logger.info('Reference recently unresolvable, skipping discovery', {
+                type: 'resolution_cache_negative_hit',
+                requestId,
+                reference: cacheKey,
+                expires_at: cached.expiresAt
+            });
+            return { system: null, routedBy: null };
+        }
+
+        if (cached) {
+            const system = getSystem(cached.systemId);
+
+            if (system?.enabled && acceptsEvent(system, context.event)) {
+                logger.info('Reference resolved from cache', {
+                    type: 'resolution_cache_hit',
+                    requestId,
+                    reference: cacheKey,
+                    target_system: system.id
+                });
+                return { system, routedBy: 'cache' };
+            }
+
+            // Owner was disabled or removed since it was cached
+            if (!system?.enabled && !dryRun) resolutionCache.forget(cacheKey);
+        }
+    }
+
+    // The verify endpoint only understands payment references
+    if (!context.reference) {
+        return { system: null, routedBy: null };
+    }
+
+    if (!allowDiscovery) {
+        return { system: null, routedBy: null, throttled: true };
+    }
+
+    const { system: discovered, claimants, answers } = await findTargetSystemWithImprovedLogic(
+        context.reference, context.event, requestId, { dryRun }
+    );
+
+    if (claimants.length > 1) {
+        // Guessing would hand the payment to the wrong system - nothing is cached until a person decides
+        if (!dryRun) metrics.referencesAmbiguous.inc({ provider: context.provider });
+        return { system: null, routedBy: null, claimants, answers };
+    }
+
+    if (!dryRun && discovered) {
+        resolutionCache.remember(context.reference, discovered.id);
+        // Later reference-less events for this customer (subscriptions, invoices) follow the payment
+        const customerKey = customerCacheKey(context.customerCode);
+        if (customerKey) resolutionCache.remember(customerKey, discovered.id);
+    } else if (!dryRun) {
+        resolutionCache.rememberNotFound(context.reference);
+    }
+
+    return { system: discovered, routedBy: discovered ? 'discovery' : null, answers };
+}
+
+// Ask one system whether it knows the reference; resolves true on a 200, false otherwise (never rejects)
+async function checkSystemForReference(system, paymentReference, requestId, signal, answers, { dryRun = false } = {}) {
+    const systemStartTime = Date.now();
+
+    // An open breaker means the system is known to be struggling - don't wait on it
+    if (!(dryRun ? wouldAllowRequest(system) : canRequest(system))) {
+        logger.debug('Skipping system with open circuit breaker', {
+            type: 'system_check_circuit_open',
             requestId,
-            reference: paymentReference,
-            webhook_event: webhookEvent,
-            checked_systems: TICKETING_SYSTEMS.filter(s => s.enabled).map(s => s.id)
+            system_id: system.id,
+            reference: paymentReference
         });
+        answers.push({ system_id: system.id, outcome: 'circuit_open' });
+        return false;
     }
-    
-    return foundSystem;
-}
 
-// ==============================================
-// 📤 ENHANCED FORWARD WEBHOOK WITH LOGGING
-// ==============================================
-async function forwardWebhook(targetSystem, webhookBody, originalHeaders, requestId) {
-    const forwardStartTime = Date.now();
-    const webhookUrl = `${targetSystem.baseUrl}${targetSystem.webhookPath}`;
-    
     try {
-        logger.info('Forwarding webhook to target system', {
-            type: 'webhook_forward_start',
+        logger.debug('Checking system for payment reference', {
+            type: 'system_check_start',
             requestId,
-            target_system: targetSystem.id,
-            system_name: targetSystem.name,
-            webhook_url: webhookUrl,
-            event: webhookBody.event,
-            reference: webhookBody.data?.reference
+            system_id: system.id,
+            system_name: system.name,
+            reference: paymentReference
         });
 
-        const response = await axios.post(webhookUrl, webhookBody, {
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Paystack-Signature': originalHeaders['x-paystack-signature'],
-                'User-Agent': 'Paystack-Webhook-Dispatcher/1.0',
-                'X-Forwarded-For': originalHeaders['x-forwarded-for'] || 'dispatcher',
-                'X-Request-ID': requestId
-            },
-            timeout: targetSystem.timeout || 30000,
-            validateStatus: (status) => status < 500
-        });
+        const response = await axios.get(
+            `${system.baseUrl}/api/tickets/verify/${paymentReference}`,
+            {
+                timeout: system.timeout || 5000,
+                signal,
+                validateStatus: (status) => status < 500 // Accept 200, 400, 404
+            }
+        );
 
-        const forwardTime = Date.now() - forwardStartTime;
+        const checkTime = Date.now() - systemStartTime;
+        const outcome = { 200: 'found', 404: 'not_found' }[response.status] || 'other';
+        if (!dryRun) {
+            recordSuccess(system);
+            metrics.discoveryLatency.observe({ system: system.id, outcome }, checkTime / 1000);
+        }
+        answers.push({ system_id: system.id, outcome, response_status: response.status, response_time_ms: checkTime });
 
-        logger.info('Webhook forwarded successfully', {
-            type: 'webhook_forward_complete',
-            requestId,
-            target_system: targetSystem.id,
-            system_name: targetSystem.name,
-            response_status: response.status,
-            response_time_ms: forwardTime,
-            response_size: JSON.stringify(response.data).length
-        });
+        if (response.status === 200) {
+            // System found and handled the reference (success or failure)
+            const paymentStatus = response.data?.data?.paymentStatus;
 
-        return {
-            success: true,
-            status: response.status,
-            data: response.data,
-            responseTime: forwardTime
-        };
+            logger.info('Payment reference found and handled by system', {
+                type: 'system_discovery_success',
+                requestId,
+                system_id: system.id,
+                system_name: system.name,
+                reference: paymentReference,
+                payment_status: paymentStatus,
+                response_time_ms: checkTime
+            });
+
+            return true;
+        }
+
+        if (response.status === 404) {
+            // System doesn't have this reference - continue searching
+            logger.debug('Payment reference not found in system', {
+                type: 'system_check_not_found',
+                requestId,
+                system_id: system.id,
+                system_name: system.name,
+                reference: paymentReference,
+                response_time_ms: checkTime
+            });
+
+            return false;
+        }
+
+        // For any other 4xx status, log and continue
+        logger.debug('System returned non-success status', {
+            type: 'system_check_other_status',
+            requestId,
+            system_id: system.id,
+            system_name: system.name,
+            reference: paymentReference,
+            response_status: response.status,
+            response_time_ms: checkTime
+        });
+
+        return false;
+
+    } catch (error) {
+        // Discovery already settled without this answer; the system did nothing wrong
+        if (axios.isCancel(error)) {
+            if (!dryRun) releaseTrial(system);
+            return false;
+        }
+
+        const checkTime = Date.now() - systemStartTime;
+        answers.push({ system_id: system.id, outcome: 'error', error: error.message, response_time_ms: checkTime });
+        if (!dryRun) {
+            metrics.discoveryLatency.observe({ system: system.id, outcome: 'error' }, checkTime / 1000);
+            recordFailure(system, 'discovery_failed');
+        }
+
+        logger.warn('System check failed', {
+            type: 'system_check_error',
+            requestId,
+            system_id: system.id,
+            system_name: system.name,
+            reference: paymentReference,
+            error: error.message,
+            error_code: error.code,
+            response_time_ms: checkTime
+        });
+
+        return false;
+    }
+}
+
+/**
+ * Verify-endpoint discovery over the enabled systems subscribed to `webhookEvent`; see
+ * collectClaims for how priorities and the ambiguity window decide the claimants.
+ * Resolves with `{ system, claimants, answers }`; `system` is null when nobody or several claimed it.
+ * A `dryRun` asks the same questions but leaves breakers and latency metrics alone.
+ */
+async function findTargetSystemWithImprovedLogic(paymentReference, webhookEvent, requestId, { dryRun = false } = {}) {
+    const candidates = systemsForEvent(webhookEvent);
+
+    logger.info('Starting system discovery', {
+        type: 'system_discovery_start',
+        requestId,
+        reference: paymentReference,
+        webhook_event: webhookEvent,
+        systems_to_check: candidates.length,
+        probe_order: candidates.map(s => ({ system_id: s.id, priority: systemPriority(s) }))
+    });
+
+    // Each system's answer, kept for the completion log (and so the reference timeline)
+    const answers = [];
+    const { claimants, unanswered } = await collectClaims(candidates, (system, signal) =>
+        checkSystemForReference(system, paymentReference, requestId, signal, answers, { dryRun }));
+    unanswered.forEach(systemId => answers.push({ system_id: systemId, outcome: 'aborted' }));
+
+    if (claimants.length > 1) {
+        logger.warn('System discovery ambiguous - reference claimed by several systems', {
+            type: 'system_discovery_ambiguous',
+            requestId,
+            reference: paymentReference,
+            webhook_event: webhookEvent,
+            claimants: claimants.map(s => s.id),
+            answers
+        });
+        return { system: null, claimants, answers };
+    }
+
+    const [foundSystem = null] = claimants;
+
+    if (foundSystem) {
+        logger.info('System discovery completed successfully', {
+            type: 'system_discovery_complete',
+            requestId,
+            reference: paymentReference,
+            found_system: foundSystem.id,
+            webhook_event: webhookEvent,
+            answers
+        });
+    } else {
+        logger.warn('System discovery failed - no system found', {
+            type: 'system_discovery_failed',
+            requestId,
+            reference: paymentReference,
+            webhook_event: webhookEvent,
+            checked_systems: candidates.map(s => s.id),
+            answers
+        });
+    }
+
+    return { system: foundSystem, claimants, answers };
+}
+
+// ==============================================
+// 📤 ENHANCED FORWARD WEBHOOK WITH LOGGING
+// ==============================================
+// The body and extra headers `targetSystem` receives for `message`, after its transform (see transforms.js).
+// `message.rawBody`, when present and not reshaped, is sent byte-for-byte so the provider signature still matches.
+function outboundRequest(targetSystem, message, { preview = false } = {}) {
+    const { transform } = targetSystem;
+    const adapter = getProvider(message.provider).adapter;
+    const reshaped = reshapesBody(transform);
+
+    return {
+        body: reshaped
+            ? JSON.stringify(applyTransform(transform, { provider: adapter.id, ...adapter.extract(message.payload), payload: message.payload }))
+            : message.rawBody ?? JSON.stringify(message.payload),
+        headers: transformHeaders(transform, { preview }),
+        // A reshaped body would fail the provider signature check, so only ours is sent
+        forwardProviderSignature: targetSystem.forwardProviderSignature !== false && !reshaped
+    };
+}
+
+// Every request is signed with the target system's own secret (see signDispatch) under `message.id`,
+// over the body exactly as sent.
+async function forwardWebhook(targetSystem, message, requestId) {
+    const forwardStartTime = Date.now();
+    const adapter = getProvider(message.provider).adapter;
+    const webhookPath = targetSystem.webhookPaths?.[adapter.id] || targetSystem.webhookPath;
+    // Subscribers register a full URL rather than a base URL plus paths
+    const webhookUrl = targetSystem.url || `${targetSystem.baseUrl}${webhookPath}`;
+    const timestamp = Math.floor(Date.now() / 1000);
+    
+    try {
+        // Inside the try: a secret-backed header whose variable disappeared fails the attempt
+        const { body, headers: extraHeaders, forwardProviderSignature } = outboundRequest(targetSystem, message);
+
+        logger.info('Forwarding webhook to target system', {
+            type: 'webhook_forward_start',
+            requestId,
+            target_system: targetSystem.id,
+            system_name: targetSystem.name,
+            webhook_url: webhookUrl,
+            provider: adapter.id,
+            event: message.event,
+            reference: message.reference,
+            delivery_id: message.id
+        });
+
+        // A Buffer stops axios re-serialising (and trimming) the body after it was signed
+        const response = await axios.post(webhookUrl, Buffer.from(body), {
+            headers: {
+                'Content-Type': 'application/json',
+                ...(forwardProviderSignature && adapter.outboundHeaders(message.headers)),
+                ...extraHeaders,
+                'User-Agent': 'Paystack-Webhook-Dispatcher/1.0',
+                'X-Webhook-Provider': adapter.id,
+                'X-Forwarded-For': message.headers['x-forwarded-for'] || 'dispatcher',
+                'X-Request-ID': requestId,
+                'X-Dispatcher-Delivery-ID': message.id,
+                'X-Dispatcher-Timestamp': String(timestamp),
+                'X-Dispatcher-Signature': signDispatch(targetSystem.signingSecret, timestamp, message.id, body)
+            },
+            timeout: targetSystem.timeout || 30000,
+            validateStatus: (status) => status < 500
+        });
+
+        const forwardTime = Date.now() - forwardStartTime;
+
+        logger.info('Webhook forwarded successfully', {
+            type: 'webhook_forward_complete',
+            requestId,
+            target_system: targetSystem.id,
+            system_name: targetSystem.name,
+            response_status: response.status,
+            response_time_ms: forwardTime,
+            response_size: JSON.stringify(response.data).length
+        });
+
+        return {
+            success: true,
+            status: response.status,
+            data: response.data,
+            responseTime: forwardTime
+        };
     } catch (error) {
         const forwardTime = Date.now() - forwardStartTime;
         
@@ -448,47 +1148,222 @@ async function forwardWebhook(targetSystem, webhookBody, originalHeaders, reques
     }
 }
 
+// Delivery callback shared by the webhook handler, the dispatch pool and the retry worker
+async function deliverToSystem(delivery) {
+    if (delivery.subscriberId) return deliverToSubscriber(delivery);
+
+    const system = getSystem(delivery.systemId);
+
+    if (!system) {
+        return {
+            success: false,
+            error: `System ${delivery.systemId} is no longer registered`,
+            status: 'system_not_found',
+            responseTime: 0
+        };
+    }
+
+    if (!canRequest(system)) {
+        return {
+            success: false,
+            deferredUntil: retryAfter(system).toISOString(),
+            error: 'Circuit breaker open',
+            status: 'circuit_open',
+            responseTime: 0
+        };
+    }
+
+    // Deliveries journaled before provider adapters existed are all Paystack
+    const result = await forwardWebhook(system, { ...delivery, provider: delivery.provider || 'paystack' }, delivery.requestId);
+
+    if (result.success) {
+        recordSuccess(system);
+    } else {
+        recordFailure(system, 'forward_failed');
+    }
+
+    return result;
+}
+
+// Subscribers get their own breakers, keyed apart from systems so ids never collide
+const subscriberTarget = (subscriber) => ({ ...subscriber, id: `subscriber:${subscriber.id}` });
+
+async function deliverToSubscriber(delivery) {
+    const subscriber = getSubscriber(delivery.subscriberId);
+
+    if (!subscriber?.enabled) {
+        return {
+            success: false,
+            error: `Subscriber ${delivery.subscriberId} is ${subscriber ? 'disabled' : 'no longer registered'}`,
+            status: 'subscriber_unavailable',
+            responseTime: 0
+        };
+    }
+
+    const target = subscriberTarget(subscriber);
+
+    if (!canRequest(target)) {
+        return {
+            success: false,
+            deferredUntil: retryAfter(target).toISOString(),
+            error: 'Circuit breaker open',
+            status: 'circuit_open',
+            responseTime: 0
+        };
+    }
+
+    const result = await forwardWebhook(target, delivery, delivery.requestId);
+
+    if (result.success) {
+        recordSuccess(target);
+    } else {
+        recordFailure(target, 'forward_failed');
+    }
+
+    return result;
+}
+
+// Journal one delivery per matching subscriber and hand them to the dispatch pool
+function fanOutToSubscribers(message, requestId, eventKey) {
+    const subscribers = matchSubscribers(message);
+    if (subscribers.length === 0) return [];
+
+    // The event is only kept on a 2xx answer, so the provider may resend it after a 404 or 500;
+    // subscribers that already have their copy of it are not sent another
+    const alreadyCopied = subscribers.filter(subscriber => findSubscriberCopy(eventKey, subscriber.id));
+    const deliveries = subscribers
+        .filter(subscriber => !alreadyCopied.includes(subscriber))
+        .map(subscriber => createDelivery({ requestId, subscriber, eventKey, ...message }));
+    deliveries.forEach(delivery => enqueueDispatch(delivery.id));
+
+    logger.info('Webhook fanned out to subscribers', {
+        type: 'webhook_fan_out',
+        requestId,
+        provider: message.provider,
+        event: message.event,
+        reference: message.reference,
+        subscribers: deliveries.map(d => d.subscriberId),
+        delivery_ids: deliveries.map(d => d.id),
+        already_copied: alreadyCopied.map(s => s.id)
+    });
+
+    return deliveries;
+}
+
+// Hold a delivery whose reference several systems claimed until an operator picks the owner
+function sendForReview(delivery, claimants) {
+    const review = openReview({
+        requestId: delivery.requestId,
+        deliveryId: delivery.id,
+        provider: delivery.provider,
+        event: delivery.event,
+        reference: delivery.reference,
+        claimants: claimants.map(s => s.id)
+    });
+    holdForReview(delivery, review.id);
+    return review;
+}
+
+/**
+ * Worker-pool job. Subscriber copies arrive "pending" and only need their first
+ * attempt; asynchronously acknowledged webhooks arrive "routing" and are routed first.
+ */
+async function dispatchQueuedDelivery(deliveryId) {
+    const delivery = getDelivery(deliveryId);
+    if (!delivery || isInFlight(deliveryId)) return;
+
+    if (delivery.status === 'pending') {
+        await attemptDelivery(delivery, deliverToSystem);
+        return;
+    }
+    if (delivery.status !== 'routing') return;
+
+    const { requestId, provider, event, reference, sourceIp } = delivery;
+    const { customerCode, metadata, subaccount } = getProvider(provider).adapter.extract(delivery.payload);
+    // The same discovery-miss budget as the synchronous path, charged to the address that sent the event
+    const discoveryBudget = sourceIp ? checkDiscoveryBudget(sourceIp) : { allowed: true };
+    const { system, routedBy, filtered, claimants, throttled, answers } = await resolveTargetSystem(
+        { provider, event, reference, customerCode, metadata, subaccount },
+        requestId,
+        { allowDiscovery: discoveryBudget.allowed }
+    );
+
+    if (filtered) {
+        markFiltered(delivery);
+        return;
+    }
+
+    if (throttled) {
+        // Already acknowledged, so it cannot be bounced back to the provider; it stays "routing" and
+        // is picked up again once the budget refills (or on the next start)
+        setTimeout(() => enqueueDispatch(deliveryId), discoveryBudget.retryAfterMs).unref();
+        logger.warn('Background dispatch deferred by the discovery-miss limit', {
+            type: 'webhook_dispatch_deferred',
+            requestId,
+            delivery_id: deliveryId,
+            provider,
+            reference,
+            source_ip: sourceIp,
+            retry_after_ms: discoveryBudget.retryAfterMs
+        });
+        return;
+    }
+
+    if (claimants) {
+        sendForReview(delivery, claimants);
+        return;
+    }
+
+    if (!system) {
+        if (answers && sourceIp) recordDiscoveryMiss(sourceIp);
+        metrics.referencesNotFound.inc({ provider });
+        const deadLetter = addDeadLetter({
+            reason: 'no_system_found',
+            requestId,
+            deliveryId,
+            provider,
+            event,
+            reference,
+            payload: delivery.payload,
+            rawBody: delivery.rawBody,
+            headers: delivery.headers
+        });
+        markUnroutable(delivery, deadLetter.id);
+
+        logger.warn('No system found for accepted webhook', {
+            type: 'webhook_system_not_found',
+            requestId,
+            delivery_id: deliveryId,
+            provider,
+            reference,
+            event,
+            dead_letter_id: deadLetter.id
+        });
+        return;
+    }
+
+    const { delivery: attempted, result } = await attemptDelivery(routeDelivery(delivery, system, routedBy), deliverToSystem);
+
+    logger.info('Background dispatch finished', {
+        type: 'webhook_dispatch_complete',
+        requestId,
+        delivery_id: deliveryId,
+        target_system: system.id,
+        routed_by: routedBy,
+        reference,
+        status: attempted.status,
+        response_status: result.status
+    });
+}
+
 // ==============================================
 // 🏥 ENHANCED HEALTH CHECK WITH LOGGING
 // ==============================================
-app.get('/health', async (req, res) => {
-    // No logging here
+app.get('/health', (req, res) => {
+    // No logging here - load balancers poll this, so it serves the monitor's cached snapshot
     const requestId = req.id;
-    const healthCheckStart = Date.now();
-
-    const systemStatuses = await Promise.all(
-        TICKETING_SYSTEMS.map(async (system) => {
-            const systemHealthStart = Date.now();
-            try {
-                const response = await axios.get(
-                    `${system.baseUrl}${system.healthCheck}`,
-                    { timeout: 5000 }
-                );
-                const responseTime = Date.now() - systemHealthStart;
-                return {
-                    id: system.id,
-                    name: system.name,
-                    status: 'healthy',
-                    responseTime: responseTime,
-                    enabled: system.enabled,
-                    lastChecked: new Date().toISOString()
-                };
-            } catch (error) {
-                const responseTime = Date.now() - systemHealthStart;
-                return {
-                    id: system.id,
-                    name: system.name,
-                    status: 'unhealthy',
-                    error: error.message,
-                    responseTime: responseTime,
-                    enabled: system.enabled,
-                    lastChecked: new Date().toISOString()
-                };
-            }
-        })
-    );
+    const { lastRoundAt, probeIntervalMs, systems: systemStatuses } = getHealthSnapshot();
 
-    const totalHealthCheckTime = Date.now() - healthCheckStart;
     const healthySystems = systemStatuses.filter(s => s.status === 'healthy').length;
     const enabledSystems = systemStatuses.filter(s => s.enabled).length;
 
@@ -498,11 +1373,12 @@ app.get('/health', async (req, res) => {
         requestId,
         systems: systemStatuses,
         summary: {
-            total_systems: TICKETING_SYSTEMS.length,
+            total_systems: systemStatuses.length,
             enabled_systems: enabledSystems,
             healthy_systems: healthySystems,
             unhealthy_systems: enabledSystems - healthySystems,
-            health_check_time_ms: totalHealthCheckTime
+            last_checked: lastRoundAt,
+            check_interval_ms: probeIntervalMs
         }
     };
 
@@ -513,8 +1389,11 @@ app.get('/health', async (req, res) => {
 // 📊 ENHANCED ADMIN ENDPOINTS WITH LOGGING
 // ==============================================
 
+// Registry entry (signing secret masked) plus its live circuit breaker state
+const withBreakerState = (system) => ({ ...toPublicSystem(system), breaker: getBreakerState(system) });
+
 // Get all registered systems
-app.get('/admin/systems', (req, res) => {
+app.get('/admin/systems', requireScope('read'), (req, res) => {
     const requestId = req.id;
     
     logger.info('Admin systems list requested', {
@@ -525,20 +1404,14 @@ app.get('/admin/systems', (req, res) => {
 
     res.json({
         success: true,
-        systems: TICKETING_SYSTEMS.map(system => ({
-            id: system.id,
-            name: system.name,
-            baseUrl: system.baseUrl,
-            enabled: system.enabled,
-            timeout: system.timeout
-        }))
+        systems: listSystems().map(withBreakerState)
     });
 });
 
 // Add new system
-app.post('/admin/systems', (req, res) => {
+app.post('/admin/systems', requireScope('admin'), (req, res) => {
     const requestId = req.id;
-    const { id, name, baseUrl, webhookPath = '/api/webhooks/paystack', enabled = true, timeout = 30000 } = req.body;
+    const { id, name, baseUrl, enabled } = req.body;
     
     logger.info('Admin adding new system', {
         type: 'admin_system_add',
@@ -546,121 +1419,1763 @@ app.post('/admin/systems', (req, res) => {
         admin_ip: req.ip,
         system_data: { id, name, baseUrl, enabled }
     });
-    
-    if (!id || !name || !baseUrl) {
-        logger.warn('Admin system add failed - missing required fields', {
+
+    const errors = validateSystem(req.body);
+    if (errors.length > 0) {
+        logger.warn('Admin system add failed - validation errors', {
             type: 'admin_system_add_error',
             requestId,
-            provided_fields: Object.keys(req.body)
+            provided_fields: Object.keys(req.body),
+            errors
         });
-        return res.status(400).json({ error: 'ID, name and baseUrl required' });
+        return res.status(400).json({ error: 'Invalid system', details: errors });
     }
 
-    const newSystem = {
-        id,
-        name,
-        baseUrl,
-        webhookPath,
-        healthCheck: '/health',
-        enabled,
-        timeout
-    };
+    if (getSystem(id)) {
+        logger.warn('Admin system add failed - duplicate id', {
+            type: 'admin_system_add_error',
+            requestId,
+            system_id: id
+        });
+        return res.status(409).json({ error: `System ${id} already exists` });
+    }
+
+    const newSystem = createSystem(req.body);
+    res.locals.audit = { action: 'system.create', target: id, after: toPublicSystem(newSystem) };
 
-    TICKETING_SYSTEMS.push(newSystem);
+    // The new system may own references we recently failed to resolve
+    resolutionCache.purge({ negative: true });
     
     logger.info('New system added successfully', {
         type: 'admin_system_added',
         requestId,
         system_id: id,
         system_name: name,
-        total_systems: TICKETING_SYSTEMS.length
+        total_systems: listSystems().length
     });
     
-    res.json({
+    // The only response that carries the signing secret unmasked, unless it is rotated
+    res.status(201).json({
         success: true,
         message: 'System added successfully',
         system: newSystem
     });
 });
 
-// Get webhook logs
-app.get('/admin/logs/webhooks', (req, res) => {
-    const requestId = req.id;
-    const { limit = 50, level = 'info' } = req.query;
-    
-    logger.info('Admin webhook logs requested', {
-        type: 'admin_logs_request',
-        requestId,
-        admin_ip: req.ip,
-        limit,
-        level
+// Get one system
+app.get('/admin/systems/:id', requireScope('read'), (req, res) => {
+    const system = getSystem(req.params.id);
+
+    if (!system) {
+        return res.status(404).json({ error: 'System not found' });
+    }
+
+    res.json({
+        success: true,
+        system: withBreakerState(system)
     });
+});
+
+// Rolling health history and uptime for one system
+app.get('/admin/systems/:id/health-history', requireScope('read'), (req, res) => {
+    const { since, limit = 500 } = req.query;
+
+    if (!getSystem(req.params.id)) {
+        return res.status(404).json({ error: 'System not found' });
+    }
 
-    // In a real implementation, you'd read from log files or database
-    // For now, return a sample response
     res.json({
         success: true,
-        logs: [],
-        message: 'Check logs/webhooks.log file for detailed webhook logs'
+        systemId: req.params.id,
+        ...getHealthHistory(req.params.id, { since, limit: parseInt(limit, 10) || 500 })
     });
 });
 
-// Test webhook forwarding
-app.post('/admin/test-webhook/:systemId', async (req, res) => {
+// Apply a registry change and keep the resolution cache consistent with it
+function saveSystemChange(req, res, action, apply) {
     const requestId = req.id;
-    const { systemId } = req.params;
-    const system = TICKETING_SYSTEMS.find(s => s.id === systemId);
-    
-    logger.info('Admin webhook test initiated', {
-        type: 'admin_webhook_test',
+    const systemId = req.params.id;
+    const before = getSystem(systemId);
+
+    logger.info(`Admin system ${action} requested`, {
+        type: `admin_system_${action}`,
         requestId,
         admin_ip: req.ip,
-        target_system: systemId
+        system_id: systemId
     });
-    
-    if (!system) {
-        logger.warn('Admin webhook test failed - system not found', {
-            type: 'admin_webhook_test_error',
+
+    if (!before) {
+        return res.status(404).json({ error: 'System not found' });
+    }
+
+    const after = apply(before);
+    if (after.errors) {
+        logger.warn(`Admin system ${action} failed - validation errors`, {
+            type: `admin_system_${action}_error`,
             requestId,
             system_id: systemId,
-            available_systems: TICKETING_SYSTEMS.map(s => s.id)
+            errors: after.errors
         });
-        return res.status(404).json({ error: 'System not found' });
+        return res.status(400).json({ error: 'Invalid system', details: after.errors });
     }
 
-    const testWebhook = {
-        event: 'charge.success',
-        data: {
-            reference: 'TEST-' + Date.now(),
-            amount: 10000,
-            status: 'success',
-            currency: 'GHS',
-            customer: {
-                email: 'test@example.com'
-            }
-        }
+    res.locals.audit = {
+        action: `system.${action}`,
+        target: systemId,
+        before: toPublicSystem(before),
+        after: toPublicSystem(after.system)
     };
 
-    const result = await forwardWebhook(system, testWebhook, {
-        'x-paystack-signature': 'test-signature'
-    }, requestId);
+    // Cached ownership is stale once a system is disabled or moves elsewhere
+    if ((before.enabled && !after.system.enabled) || before.baseUrl !== after.system.baseUrl) {
+        const purged = resolutionCache.invalidateSystem(systemId);
+        logger.info('Resolution cache invalidated for system', {
+            type: 'resolution_cache_invalidated',
+            requestId,
+            system_id: systemId,
+            reason: action,
+            purged
+        });
+    }
 
-    logger.info('Admin webhook test completed', {
-        type: 'admin_webhook_test_complete',
+    logger.info(`System ${action} applied`, {
+        type: `admin_system_${action}_applied`,
         requestId,
-        target_system: systemId,
-        test_success: result.success
+        system_id: systemId,
+        enabled: after.system.enabled
+    });
+
+    res.json({
+        success: true,
+        system: toPublicSystem(after.system)
     });
+}
 
-    res.json(result);
+// Replace a system definition
+app.put('/admin/systems/:id', requireScope('admin'), (req, res) => {
+    saveSystemChange(req, res, 'replace', () => {
+        const input = { ...req.body, id: req.params.id };
+        const errors = validateSystem(input);
+        if (req.body.id !== undefined && req.body.id !== req.params.id) {
+            errors.push('id cannot be changed');
+        }
+        return errors.length > 0 ? { errors } : { system: replaceSystem(req.params.id, input) };
+    });
 });
 
-// ==============================================
-// 📈 METRICS & MONITORING ENDPOINTS
-// ==============================================
+// Update some fields of a system
+app.patch('/admin/systems/:id', requireScope('admin'), (req, res) => {
+    saveSystemChange(req, res, 'update', () => {
+        const errors = validateSystem(req.body, { partial: true });
+        if (req.body.id !== undefined && req.body.id !== req.params.id) {
+            errors.push('id cannot be changed');
+        }
+        return errors.length > 0 ? { errors } : { system: patchSystem(req.params.id, req.body) };
+    });
+});
 
-app.get('/admin/metrics', (req, res) => {
-    // No logging here
+app.post('/admin/systems/:id/enable', requireScope('admin'), (req, res) => {
+    saveSystemChange(req, res, 'enable', () => ({ system: patchSystem(req.params.id, { enabled: true }) }));
+});
+
+app.post('/admin/systems/:id/disable', requireScope('admin'), (req, res) => {
+    saveSystemChange(req, res, 'disable', () => ({ system: patchSystem(req.params.id, { enabled: false }) }));
+});
+
+// Issue a new signing secret; it is returned once and the old one stops verifying straight away
+app.post('/admin/systems/:id/signing-secret/rotate', requireScope('admin'), (req, res) => {
+    const requestId = req.id;
+    const systemId = req.params.id;
+
+    if (!getSystem(systemId)) {
+        return res.status(404).json({ error: 'System not found' });
+    }
+
+    const system = rotateSigningSecret(systemId);
+    res.locals.audit = { action: 'system.rotate_signing_secret', target: systemId, after: toPublicSystem(system) };
+
+    logger.info('System signing secret rotated', {
+        type: 'admin_system_signing_secret_rotated',
+        requestId,
+        admin_ip: req.ip,
+        system_id: systemId
+    });
+
+    res.json({
+        success: true,
+        systemId,
+        signingSecret: system.signingSecret
+    });
+});
+
+// Show what a system would receive: its transform (or a draft passed as `transform`) applied to
+// `payload`, or to a generated test event (`template`, `overrides`). Secret-backed headers are not resolved.
+app.post('/admin/systems/:id/transform/preview', requireScope('read'), (req, res) => {
+    const system = getSystem(req.params.id);
+
+    if (!system) {
+        return res.status(404).json({ error: 'System not found' });
+    }
+
+    const { transform = system.transform ?? null, payload, provider = 'paystack', template = 'charge.success', overrides = {} } = req.body;
+    const errors = validateTransform(transform);
+
+    if (typeof provider !== 'string' || !getProvider(provider)) {
+        errors.push(`provider must be one of: ${listProviders().map(p => p.id).join(', ')}`);
+    }
+    if (payload === undefined) {
+        errors.push(...validateTestEvent(template, overrides));
+    } else if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+        errors.push('payload must be an object');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid preview', details: errors });
+    }
+
+    const input = payload ?? buildTestEvent(template, overrides);
+    const { body, headers, forwardProviderSignature } = outboundRequest(
+        { ...system, transform },
+        { provider, payload: input },
+        { preview: true }
+    );
+
+    res.json({
+        success: true,
+        systemId: system.id,
+        transform,
+        input,
+        body: JSON.parse(body),
+        headers,
+        forwardProviderSignature
+    });
+});
+
+// Remove a system
+app.delete('/admin/systems/:id', requireScope('admin'), (req, res) => {
+    const requestId = req.id;
+    const systemId = req.params.id;
+
+    logger.info('Admin system delete requested', {
+        type: 'admin_system_delete',
+        requestId,
+        admin_ip: req.ip,
+        system_id: systemId
+    });
+
+    const before = getSystem(systemId);
+    if (!deleteSystem(systemId)) {
+        return res.status(404).json({ error: 'System not found' });
+    }
+    res.locals.audit = { action: 'system.delete', target: systemId, before: toPublicSystem(before) };
+
+    const purged = resolutionCache.invalidateSystem(systemId);
+    forgetBreaker(systemId);
+
+    logger.info('System deleted successfully', {
+        type: 'admin_system_deleted',
+        requestId,
+        system_id: systemId,
+        cache_entries_purged: purged,
+        total_systems: listSystems().length
+    });
+
+    res.json({
+        success: true,
+        message: 'System deleted'
+    });
+});
+
+// Query webhooks.log (and its rotations), newest first.
+// Filters: requestId, reference, type, systemId, level (minimum), from, to.
+// Page with `cursor`; `format=ndjson` streams one entry per line instead.
+app.get('/admin/logs/webhooks', requireScope('read'), async (req, res) => {
+    const requestId = req.id;
+    const { requestId: logRequestId, reference, type, systemId, level = 'info', from, to, cursor, format = 'json' } = req.query;
+    const streaming = format === 'ndjson';
+    const limit = Math.min(parseInt(req.query.limit, 10) || (streaming ? 1000 : 50), streaming ? 100000 : 1000);
+
+    logger.info('Admin webhook logs requested', {
+        type: 'admin_logs_request',
+        requestId,
+        admin_ip: req.ip,
+        filters: { requestId: logRequestId, reference, type, systemId, level, from, to },
+        limit,
+        format
+    });
+
+    const errors = [];
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) errors.push('cursor is invalid');
+    if (!isLevel(level)) errors.push('level must be one of error, warn, info, http, verbose, debug, silly');
+    if (from && isNaN(new Date(from).getTime())) errors.push('from must be a date');
+    if (to && isNaN(new Date(to).getTime())) errors.push('to must be a date');
+    if (!['json', 'ndjson'].includes(format)) errors.push('format must be json or ndjson');
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid log query', details: errors });
+    }
+
+    const matches = readWebhookLogs({ requestId: logRequestId, reference, type, systemId, level, from, to }, { after });
+
+    try {
+        if (streaming) {
+            let closed = false;
+            req.on('close', () => { closed = true; });
+            res.type('application/x-ndjson');
+
+            let count = 0;
+            for await (const { entry } of matches) {
+                if (closed || count >= limit) break;
+                count++;
+                if (!res.write(`${JSON.stringify(entry)}\n`)) {
+                    await new Promise(resolve => res.once('drain', resolve));
+                }
+            }
+            return res.end();
+        }
+
+        // Read one entry past the page to know whether another page exists
+        const logs = [];
+        let lastPosition = null;
+        let nextCursor = null;
+        for await (const { entry, position } of matches) {
+            if (logs.length === limit) {
+                nextCursor = encodeCursor(lastPosition);
+                break;
+            }
+            logs.push(entry);
+            lastPosition = position;
+        }
+
+        res.json({
+            success: true,
+            count: logs.length,
+            logs,
+            nextCursor
+        });
+    } catch (error) {
+        logger.error('Admin webhook log query failed', {
+            type: 'admin_logs_error',
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to read webhook logs', requestId });
+    }
+});
+
+const TEST_SIGNATURE_MODES = ['valid', 'invalid', 'missing'];
+
+/**
+ * Generate a templated Paystack event and sign it. `signature` is "valid" (the first
+ * configured secret), "invalid" (a throwaway key) or "missing", to exercise rejections.
+ */
+function signedTestEvent({ template = 'charge.success', overrides = {}, signature = 'valid' } = {}) {
+    const errors = validateTestEvent(template, overrides);
+    if (!TEST_SIGNATURE_MODES.includes(signature)) {
+        errors.push(`signature must be one of: ${TEST_SIGNATURE_MODES.join(', ')}`);
+    }
+    if (errors.length > 0) return { errors };
+
+    const { adapter, secrets } = getProvider('paystack');
+    const payload = buildTestEvent(template, overrides);
+    const rawBody = JSON.stringify(payload);
+    const secret = signature === 'invalid' ? generateSigningSecret() : secrets[0];
+
+    return {
+        payload,
+        rawBody,
+        headers: signature !== 'missing' && secret ? adapter.sign(rawBody, secret) : {}
+    };
+}
+
+// Why the dispatcher would route an event the way resolveTargetSystem decided
+function describeRouting({ system, routedBy, filtered, unavailable, claimants, answers }, context) {
+    if (filtered) {
+        return { outcome: 'filtered', reason: `No system subscribes to ${context.event} events` };
+    }
+    if (unavailable) {
+        return { outcome: 'dead_letter', reason: `Every system subscribed to ${context.event} events is disabled: ${unavailable.join(', ')}` };
+    }
+    if (claimants) {
+        return { outcome: 'review', reason: `Reference claimed by ${claimants.map(s => s.id).join(', ')}; the event would be held for review` };
+    }
+    if (system) {
+        const reason = routedBy === 'discovery'
+            ? `${system.id} recognised the reference during discovery`
+            : routedBy === 'cache'
+                ? `The reference or customer was resolved to ${system.id} earlier`
+                : `Routing rule ${routedBy.slice('rule:'.length)} matched`;
+        return { outcome: 'forward', reason };
+    }
+    if (!context.reference) {
+        return { outcome: 'dead_letter', reason: 'No reference, and no rule or cached customer routes the event' };
+    }
+    return {
+        outcome: 'dead_letter',
+        reason: answers
+            ? 'No system recognised the reference'
+            : 'The reference is in the not-found cache, so discovery was skipped'
+    };
+}
+
+// Event templates for the test endpoints, with a sample of each
+app.get('/admin/test-webhook/templates', requireScope('read'), (req, res) => {
+    res.json({
+        success: true,
+        templates: listTestEventTemplates()
+    });
+});
+
+// Dry run: a generated event goes through signature checks, routing rules and discovery; nothing is forwarded
+app.post('/admin/test-webhook', requireScope('operator'), async (req, res) => {
+    const requestId = req.id;
+    const generated = signedTestEvent(req.body);
+
+    if (generated.errors) {
+        return res.status(400).json({ error: 'Invalid test event', details: generated.errors });
+    }
+
+    const { payload, rawBody, headers } = generated;
+    const { adapter, secrets } = getProvider('paystack');
+    const { event, eventId, reference, amount, currency, customerCode, metadata, subaccount } = adapter.extract(payload);
+
+    logger.info('Admin webhook dry run initiated', {
+        type: 'admin_webhook_dry_run',
+        requestId,
+        admin_ip: req.ip,
+        event,
+        reference
+    });
+
+    const verification = secrets.length === 0
+        ? { valid: false, reason: 'provider_disabled' }
+        : adapter.verifySignature({ get: (name) => headers[name.toLowerCase()], rawBody: Buffer.from(rawBody) }, secrets);
+
+    const report = {
+        success: true,
+        dryRun: true,
+        requestId,
+        payload,
+        signature: verification,
+        extracted: { event, eventId, reference, amount, currency, customerCode }
+    };
+
+    if (!verification.valid) {
+        return res.json({ ...report, outcome: 'rejected', reason: `Signature check failed: ${verification.reason}` });
+    }
+
+    try {
+        const context = { provider: adapter.id, event, reference, customerCode, metadata, subaccount };
+        const routing = await resolveTargetSystem(context, requestId, { dryRun: true });
+        const { outcome, reason } = describeRouting(routing, context);
+
+        logger.info('Admin webhook dry run completed', {
+            type: 'admin_webhook_dry_run_complete',
+            requestId,
+            event,
+            reference,
+            outcome,
+            target_system: routing.system?.id
+        });
+
+        res.json({
+            ...report,
+            outcome,
+            reason,
+            targetSystem: routing.system ? { id: routing.system.id, name: routing.system.name } : null,
+            routedBy: routing.routedBy,
+            claimants: (routing.claimants || []).map(s => s.id),
+            discovery: routing.answers || null,
+            subscribers: matchSubscribers({ provider: adapter.id, event }).map(s => s.id),
+            ackMode: ackModeFor(event)
+        });
+    } catch (error) {
+        logger.error('Admin webhook dry run failed', {
+            type: 'admin_webhook_dry_run_error',
+            requestId,
+            event,
+            reference,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({ error: 'Failed to run the dry run', requestId });
+    }
+});
+
+// Forward a generated, signed event straight to one system
+app.post('/admin/test-webhook/:systemId', requireScope('operator'), async (req, res) => {
+    const requestId = req.id;
+    const { systemId } = req.params;
+    const system = getSystem(systemId);
+    
+    logger.info('Admin webhook test initiated', {
+        type: 'admin_webhook_test',
+        requestId,
+        admin_ip: req.ip,
+        target_system: systemId,
+        template: req.body.template
+    });
+    
+    if (!system) {
+        logger.warn('Admin webhook test failed - system not found', {
+            type: 'admin_webhook_test_error',
+            requestId,
+            system_id: systemId,
+            available_systems: listSystems().map(s => s.id)
+        });
+        return res.status(404).json({ error: 'System not found' });
+    }
+
+    const generated = signedTestEvent(req.body);
+    if (generated.errors) {
+        return res.status(400).json({ error: 'Invalid test event', details: generated.errors });
+    }
+
+    const { payload, rawBody, headers } = generated;
+
+    try {
+        const result = await forwardWebhook(system, {
+            id: `test-${uuidv4()}`,
+            provider: 'paystack',
+            event: payload.event,
+            reference: getProvider('paystack').adapter.extract(payload).reference,
+            payload,
+            rawBody,
+            headers
+        }, requestId);
+
+        res.locals.audit = { action: 'system.test_webhook', target: systemId, after: { event: payload.event, success: result.success, status: result.status } };
+
+        logger.info('Admin webhook test completed', {
+            type: 'admin_webhook_test_complete',
+            requestId,
+            target_system: systemId,
+            event: payload.event,
+            test_success: result.success
+        });
+
+        res.json({ ...result, payload });
+    } catch (error) {
+        logger.error('Admin webhook test failed', {
+            type: 'admin_webhook_test_error',
+            requestId,
+            target_system: systemId,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({ error: 'Failed to send the test webhook', requestId });
+    }
+});
+
+// ==============================================
+// 🧭 ROUTING RULES ENDPOINTS
+// ==============================================
+
+// List routing rules in evaluation order
+app.get('/admin/routing-rules', requireScope('read'), (req, res) => {
+    const requestId = req.id;
+
+    logger.info('Admin routing rules list requested', {
+        type: 'admin_routing_rules_list',
+        requestId,
+        admin_ip: req.ip
+    });
+
+    res.json({
+        success: true,
+        rules: listRules()
+    });
+});
+
+// Dry-run the rules against a sample event: { provider, event, reference, customerCode, metadata, subaccount }
+app.post('/admin/routing-rules/test', requireScope('read'), (req, res) => {
+    const { provider = 'paystack', event, reference, customerCode, metadata = {}, subaccount } = req.body;
+    const context = { provider, event, reference, customerCode, metadata, subaccount };
+    const subscribed = subscribedSystems(event);
+    const { rule, system, skipped } = matchRule(context, subscribed);
+    const filtered = subscribed.length === 0;
+
+    res.json({
+        success: true,
+        matched: Boolean(rule),
+        filtered,
+        rule: rule || null,
+        targetSystem: system ? { id: system.id, name: system.name } : null,
+        skipped,
+        fallback: rule || filtered ? null : (reference ? 'discovery' : 'cache')
+    });
+});
+
+// Add routing rule
+app.post('/admin/routing-rules', requireScope('admin'), (req, res) => {
+    const requestId = req.id;
+    const { name, systemId, match, priority, enabled } = req.body;
+
+    logger.info('Admin adding routing rule', {
+        type: 'admin_routing_rule_add',
+        requestId,
+        admin_ip: req.ip,
+        rule_data: { name, systemId, match, priority, enabled }
+    });
+
+    const errors = validateRule(req.body, listSystems());
+    if (errors.length > 0) {
+        logger.warn('Admin routing rule add failed - validation errors', {
+            type: 'admin_routing_rule_add_error',
+            requestId,
+            errors
+        });
+        return res.status(400).json({ error: 'Invalid routing rule', details: errors });
+    }
+
+    const rule = createRule({ name, systemId, match, priority, enabled });
+    res.locals.audit = { action: 'routing_rule.create', target: rule.id, after: rule };
+
+    logger.info('Routing rule added successfully', {
+        type: 'admin_routing_rule_added',
+        requestId,
+        rule_id: rule.id,
+        target_system: rule.systemId
+    });
+
+    res.status(201).json({
+        success: true,
+        rule
+    });
+});
+
+// Get routing rule
+app.get('/admin/routing-rules/:id', requireScope('read'), (req, res) => {
+    const rule = getRule(req.params.id);
+
+    if (!rule) {
+        return res.status(404).json({ error: 'Routing rule not found' });
+    }
+
+    res.json({
+        success: true,
+        rule
+    });
+});
+
+// Replace routing rule
+app.put('/admin/routing-rules/:id', requireScope('admin'), (req, res) => {
+    const requestId = req.id;
+    const { name, systemId, match, priority, enabled } = req.body;
+
+    logger.info('Admin updating routing rule', {
+        type: 'admin_routing_rule_update',
+        requestId,
+        admin_ip: req.ip,
+        rule_id: req.params.id,
+        rule_data: { name, systemId, match, priority, enabled }
+    });
+
+    const before = getRule(req.params.id);
+    if (!before) {
+        return res.status(404).json({ error: 'Routing rule not found' });
+    }
+
+    const errors = validateRule(req.body, listSystems());
+    if (errors.length > 0) {
+        logger.warn('Admin routing rule update failed - validation errors', {
+            type: 'admin_routing_rule_update_error',
+            requestId,
+            rule_id: req.params.id,
+            errors
+        });
+        return res.status(400).json({ error: 'Invalid routing rule', details: errors });
+    }
+
+    const rule = updateRule(req.params.id, { name, systemId, match, priority, enabled });
+    res.locals.audit = { action: 'routing_rule.update', target: rule.id, before, after: rule };
+
+    res.json({
+        success: true,
+        rule
+    });
+});
+
+// Delete routing rule
+app.delete('/admin/routing-rules/:id', requireScope('admin'), (req, res) => {
+    const requestId = req.id;
+
+    logger.info('Admin deleting routing rule', {
+        type: 'admin_routing_rule_delete',
+        requestId,
+        admin_ip: req.ip,
+        rule_id: req.params.id
+    });
+
+    const before = getRule(req.params.id);
+    if (!deleteRule(req.params.id)) {
+        return res.status(404).json({ error: 'Routing rule not found' });
+    }
+    res.locals.audit = { action: 'routing_rule.delete', target: req.params.id, before };
+
+    res.json({
+        success: true,
+        message: 'Routing rule deleted'
+    });
+});
+
+// ==============================================
+// 🗂️ RESOLUTION CACHE ENDPOINTS
+// ==============================================
+
+// Parse the optional ?negative=true|false filter
+const parseNegativeFilter = (value) => (value === undefined ? undefined : value === 'true');
+
+// List cached reference resolutions
+app.get('/admin/resolution-cache', requireScope('read'), (req, res) => {
+    const requestId = req.id;
+    const { reference, systemId, negative, limit = 100 } = req.query;
+
+    logger.info('Admin resolution cache list requested', {
+        type: 'admin_resolution_cache_list',
+        requestId,
+        admin_ip: req.ip,
+        filters: { reference, systemId, negative }
+    });
+
+    const entries = resolutionCache.listEntries({ reference, systemId, negative: parseNegativeFilter(negative) });
+
+    res.json({
+        success: true,
+        stats: resolutionCache.getCacheStats(),
+        total: entries.length,
+        entries: entries.slice(0, parseInt(limit, 10) || 100)
+    });
+});
+
+// Get the cached resolution for one reference
+app.get('/admin/resolution-cache/:reference', requireScope('read'), (req, res) => {
+    const [entry] = resolutionCache.listEntries({ reference: req.params.reference });
+
+    if (!entry) {
+        return res.status(404).json({ error: 'Reference not cached' });
+    }
+
+    res.json({
+        success: true,
+        entry
+    });
+});
+
+// Purge one reference
+app.delete('/admin/resolution-cache/:reference', requireScope('operator'), (req, res) => {
+    const requestId = req.id;
+
+    logger.info('Admin resolution cache entry purge requested', {
+        type: 'admin_resolution_cache_purge',
+        requestId,
+        admin_ip: req.ip,
+        reference: req.params.reference
+    });
+
+    const [before] = resolutionCache.listEntries({ reference: req.params.reference });
+    if (!resolutionCache.forget(req.params.reference)) {
+        return res.status(404).json({ error: 'Reference not cached' });
+    }
+    res.locals.audit = { action: 'resolution_cache.purge', target: req.params.reference, before };
+
+    res.json({
+        success: true,
+        message: 'Cache entry purged'
+    });
+});
+
+// Purge entries by filter (everything when no filter is given)
+app.delete('/admin/resolution-cache', requireScope('operator'), (req, res) => {
+    const requestId = req.id;
+    const { systemId, negative } = req.query;
+
+    const purged = resolutionCache.purge({ systemId, negative: parseNegativeFilter(negative) });
+    res.locals.audit = { action: 'resolution_cache.purge', target: systemId || null, after: { negative, purged } };
+
+    logger.info('Admin resolution cache purged', {
+        type: 'admin_resolution_cache_purge',
+        requestId,
+        admin_ip: req.ip,
+        filters: { systemId, negative },
+        purged
+    });
+
+    res.json({
+        success: true,
+        purged
+    });
+});
+
+// ==============================================
+// 📡 FAN-OUT SUBSCRIBER ENDPOINTS
+// ==============================================
+
+// Subscriber record (secret masked) plus its circuit breaker state
+const withSubscriberBreaker = (subscriber) => ({
+    ...toPublicSubscriber(subscriber),
+    breaker: getBreakerState(subscriberTarget(subscriber))
+});
+
+app.get('/admin/subscribers', requireScope('read'), (req, res) => {
+    res.json({
+        success: true,
+        subscribers: listSubscribers().map(withSubscriberBreaker)
+    });
+});
+
+app.get('/admin/subscribers/:id', requireScope('read'), (req, res) => {
+    const subscriber = getSubscriber(req.params.id);
+
+    if (!subscriber) {
+        return res.status(404).json({ error: 'Subscriber not found' });
+    }
+
+    res.json({
+        success: true,
+        subscriber: withSubscriberBreaker(subscriber)
+    });
+});
+
+app.post('/admin/subscribers', requireScope('admin'), (req, res) => {
+    const requestId = req.id;
+    const errors = validateSubscriber(req.body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid subscriber', details: errors });
+    }
+    if (getSubscriber(req.body.id)) {
+        return res.status(409).json({ error: `Subscriber ${req.body.id} already exists` });
+    }
+
+    const subscriber = createSubscriber(req.body);
+    res.locals.audit = { action: 'subscriber.create', target: subscriber.id, after: toPublicSubscriber(subscriber) };
+
+    logger.info('Subscriber added', {
+        type: 'admin_subscriber_added',
+        requestId,
+        admin_ip: req.ip,
+        subscriber_id: subscriber.id,
+        events: subscriber.events,
+        providers: subscriber.providers
+    });
+
+    // The only response that carries the signing secret unmasked, unless it is rotated
+    res.status(201).json({
+        success: true,
+        subscriber
+    });
+});
+
+app.patch('/admin/subscribers/:id', requireScope('admin'), (req, res) => {
+    const requestId = req.id;
+    const before = getSubscriber(req.params.id);
+
+    if (!before) {
+        return res.status(404).json({ error: 'Subscriber not found' });
+    }
+
+    const errors = validateSubscriber(req.body, { partial: true });
+    if (req.body.id !== undefined && req.body.id !== req.params.id) {
+        errors.push('id cannot be changed');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid subscriber', details: errors });
+    }
+
+    const subscriber = patchSubscriber(req.params.id, req.body);
+    res.locals.audit = {
+        action: 'subscriber.update',
+        target: subscriber.id,
+        before: toPublicSubscriber(before),
+        after: toPublicSubscriber(subscriber)
+    };
+
+    logger.info('Subscriber updated', {
+        type: 'admin_subscriber_updated',
+        requestId,
+        admin_ip: req.ip,
+        subscriber_id: subscriber.id,
+        fields: Object.keys(req.body)
+    });
+
+    res.json({
+        success: true,
+        subscriber: toPublicSubscriber(subscriber)
+    });
+});
+
+app.post('/admin/subscribers/:id/signing-secret/rotate', requireScope('admin'), (req, res) => {
+    if (!getSubscriber(req.params.id)) {
+        return res.status(404).json({ error: 'Subscriber not found' });
+    }
+
+    const subscriber = rotateSubscriberSecret(req.params.id);
+    res.locals.audit = { action: 'subscriber.rotate_signing_secret', target: subscriber.id, after: toPublicSubscriber(subscriber) };
+
+    logger.info('Subscriber signing secret rotated', {
+        type: 'admin_subscriber_signing_secret_rotated',
+        requestId: req.id,
+        admin_ip: req.ip,
+        subscriber_id: subscriber.id
+    });
+
+    res.json({
+        success: true,
+        subscriberId: subscriber.id,
+        signingSecret: subscriber.signingSecret
+    });
+});
+
+// Deliveries already queued for the subscriber fail on their next attempt and dead-letter
+app.delete('/admin/subscribers/:id', requireScope('admin'), (req, res) => {
+    const before = getSubscriber(req.params.id);
+
+    if (!deleteSubscriber(req.params.id)) {
+        return res.status(404).json({ error: 'Subscriber not found' });
+    }
+    res.locals.audit = { action: 'subscriber.delete', target: req.params.id, before: toPublicSubscriber(before) };
+    forgetBreaker(subscriberTarget(before).id);
+
+    logger.info('Subscriber deleted', {
+        type: 'admin_subscriber_deleted',
+        requestId: req.id,
+        admin_ip: req.ip,
+        subscriber_id: req.params.id
+    });
+
+    res.json({
+        success: true,
+        message: 'Subscriber deleted'
+    });
+});
+
+// ==============================================
+// 📦 DELIVERY ENDPOINTS
+// ==============================================
+
+// Status and attempt history of one delivery, e.g. the id returned by an async acknowledgement
+app.get('/admin/deliveries/:id', requireScope('read'), (req, res) => {
+    const delivery = getDelivery(req.params.id);
+
+    if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({
+        success: true,
+        delivery
+    });
+});
+
+// Chronological history of one payment reference across logs, deliveries and dead letters
+app.get('/admin/references/:reference', requireScope('read'), async (req, res) => {
+    const requestId = req.id;
+    const { reference } = req.params;
+
+    logger.info('Admin reference timeline requested', {
+        type: 'admin_reference_timeline',
+        requestId,
+        admin_ip: req.ip,
+        // Not `reference`, or this lookup would show up in the timeline it builds
+        looked_up_reference: reference
+    });
+
+    try {
+        const result = await buildReferenceTimeline(reference);
+
+        if (result.timeline.length === 0) {
+            return res.status(404).json({ error: 'Nothing recorded for this reference', reference });
+        }
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Admin reference timeline failed', {
+            type: 'admin_reference_timeline_error',
+            requestId,
+            looked_up_reference: reference,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({ error: 'Failed to build reference timeline', requestId });
+    }
+});
+
+// ==============================================
+// 🪦 DEAD-LETTER QUEUE ENDPOINTS
+// ==============================================
+
+// Replay a dead letter to a chosen system, or re-run discovery when none is given.
+// Fan-out copies go back to their subscriber unless a system is chosen.
+async function replayDeadLetter(deadLetter, systemId, requestId) {
+    let system;
+    let subscriber;
+
+    if (deadLetter.payload == null) {
+        return { id: deadLetter.id, success: false, error: `Payload purged by the retention policy at ${deadLetter.payloadPurgedAt}` };
+    }
+
+    if (deadLetter.subscriberId && !systemId) {
+        subscriber = getSubscriber(deadLetter.subscriberId);
+        if (!subscriber) {
+            return { id: deadLetter.id, success: false, error: `Subscriber ${deadLetter.subscriberId} not found` };
+        }
+    } else if (systemId) {
+        system = getSystem(systemId);
+        if (!system) {
+            return { id: deadLetter.id, success: false, error: `System ${systemId} not found` };
+        }
+    } else {
+        const providerId = deadLetter.provider || 'paystack';
+        const { customerCode, metadata, subaccount } = getProvider(providerId).adapter.extract(deadLetter.payload);
+        let filtered;
+        let claimants;
+        ({ system, filtered, claimants } = await resolveTargetSystem({
+            provider: providerId,
+            event: deadLetter.event,
+            reference: deadLetter.reference,
+            customerCode,
+            metadata,
+            subaccount
+        }, requestId, { useCache: false }));
+        if (claimants) {
+            return {
+                id: deadLetter.id,
+                success: false,
+                error: `Payment reference claimed by ${claimants.map(s => s.id).join(', ')}; replay with a systemId`
+            };
+        }
+        if (!system) {
+            const error = filtered ? `No system subscribes to ${deadLetter.event} events` : 'No system found for payment reference';
+            return { id: deadLetter.id, success: false, error };
+        }
+    }
+
+    const delivery = createDelivery({
+        requestId,
+        system,
+        subscriber,
+        provider: deadLetter.provider || 'paystack',
+        event: deadLetter.event,
+        reference: deadLetter.reference,
+        payload: deadLetter.payload,
+        rawBody: deadLetter.rawBody,
+        headers: deadLetter.headers
+    });
+    const { delivery: attempted, result } = await attemptDelivery(delivery, deliverToSystem);
+
+    markReplayed(deadLetter.id, {
+        requestId,
+        systemId: system?.id ?? null,
+        subscriberId: subscriber?.id ?? null,
+        deliveryId: delivery.id,
+        deliveryStatus: attempted.status
+    });
+
+    logger.info('Dead letter replayed', {
+        type: 'dead_letter_replayed',
+        requestId,
+        dead_letter_id: deadLetter.id,
+        delivery_id: delivery.id,
+        target_system: deliveryTarget(delivery),
+        reference: deadLetter.reference,
+        delivery_status: attempted.status
+    });
+
+    return {
+        id: deadLetter.id,
+        success: result.success,
+        queued: attempted.status === 'retrying',
+        deliveryId: delivery.id,
+        systemId: system?.id ?? null,
+        subscriberId: subscriber?.id ?? null,
+        deliveryStatus: attempted.status,
+        error: result.error
+    };
+}
+
+// List dead letters (payloads omitted)
+app.get('/admin/dead-letters', requireScope('read'), (req, res) => {
+    const requestId = req.id;
+    const { provider, reference, event, systemId, subscriberId, reason, status, from, to, limit = 100 } = req.query;
+
+    logger.info('Admin dead letters list requested', {
+        type: 'admin_dead_letters_list',
+        requestId,
+        admin_ip: req.ip,
+        filters: { provider, reference, event, systemId, subscriberId, reason, status, from, to }
+    });
+
+    const deadLetters = listDeadLetters({ provider, reference, event, systemId, subscriberId, reason, status, from, to });
+
+    res.json({
+        success: true,
+        total: deadLetters.length,
+        deadLetters: deadLetters
+            .slice(0, parseInt(limit, 10) || 100)
+            .map(({ payload, rawBody, headers, ...summary }) => summary)
+    });
+});
+
+// Replay a batch of dead letters
+app.post('/admin/dead-letters/replay', requireScope('operator'), async (req, res) => {
+    const requestId = req.id;
+    const { ids, systemId } = req.body;
+
+    logger.info('Admin dead letter batch replay requested', {
+        type: 'admin_dead_letters_replay',
+        requestId,
+        admin_ip: req.ip,
+        dead_letter_ids: ids,
+        target_system: systemId
+    });
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({ error: 'ids must be a non-empty array' });
+    }
+
+    // One replay failing is reported with the rest, so the batch result (and audit) stays complete
+    const results = [];
+    for (const id of ids) {
+        const deadLetter = getDeadLetter(id);
+        if (!deadLetter) {
+            results.push({ id, success: false, error: 'Dead letter not found' });
+            continue;
+        }
+
+        try {
+            results.push(await replayDeadLetter(deadLetter, systemId, requestId));
+        } catch (error) {
+            logger.error('Dead letter replay failed', {
+                type: 'admin_dead_letter_replay_error',
+                requestId,
+                dead_letter_id: id,
+                error: error.message,
+                stack: error.stack
+            });
+            results.push({ id, success: false, error: `Replay failed: ${error.message}` });
+        }
+    }
+
+    res.locals.audit = { action: 'dead_letter.replay', target: ids.join(','), after: results };
+
+    res.json({
+        success: results.every(r => r.success || r.queued),
+        results
+    });
+});
+
+// Get a dead letter with its full payload
+app.get('/admin/dead-letters/:id', requireScope('read'), (req, res) => {
+    const deadLetter = getDeadLetter(req.params.id);
+
+    if (!deadLetter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json({
+        success: true,
+        deadLetter
+    });
+});
+
+// Replay a single dead letter
+app.post('/admin/dead-letters/:id/replay', requireScope('operator'), async (req, res) => {
+    const requestId = req.id;
+    const { systemId } = req.body;
+    const deadLetter = getDeadLetter(req.params.id);
+
+    logger.info('Admin dead letter replay requested', {
+        type: 'admin_dead_letter_replay',
+        requestId,
+        admin_ip: req.ip,
+        dead_letter_id: req.params.id,
+        target_system: systemId
+    });
+
+    if (!deadLetter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    try {
+        const result = await replayDeadLetter(deadLetter, systemId, requestId);
+        res.locals.audit = { action: 'dead_letter.replay', target: deadLetter.id, after: result };
+        res.status(result.deliveryId ? 200 : 422).json(result);
+    } catch (error) {
+        logger.error('Dead letter replay failed', {
+            type: 'admin_dead_letter_replay_error',
+            requestId,
+            dead_letter_id: deadLetter.id,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({ error: 'Failed to replay dead letter', requestId });
+    }
+});
+
+// Discard a dead letter
+app.delete('/admin/dead-letters/:id', requireScope('operator'), (req, res) => {
+    const requestId = req.id;
+
+    logger.info('Admin dead letter discard requested', {
+        type: 'admin_dead_letter_discard',
+        requestId,
+        admin_ip: req.ip,
+        dead_letter_id: req.params.id
+    });
+
+    const before = getDeadLetter(req.params.id);
+    if (!discardDeadLetter(req.params.id)) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.locals.audit = {
+        action: 'dead_letter.discard',
+        target: req.params.id,
+        before: { reference: before.reference, event: before.event, reason: before.reason }
+    };
+
+    res.json({
+        success: true,
+        message: 'Dead letter discarded'
+    });
+});
+
+// ==============================================
+// ⚖️ AMBIGUOUS REFERENCE REVIEW ENDPOINTS
+// ==============================================
+
+// List reviews, newest first
+app.get('/admin/reviews', requireScope('read'), (req, res) => {
+    const { status, reference, limit = 100 } = req.query;
+    const reviews = listReviews({ status, reference });
+
+    res.json({
+        success: true,
+        total: reviews.length,
+        reviews: reviews.slice(0, parseInt(limit, 10) || 100)
+    });
+});
+
+// Get a review with the held delivery (payload included, so the operator can judge)
+app.get('/admin/reviews/:id', requireScope('read'), (req, res) => {
+    const review = getReview(req.params.id);
+
+    if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const { rawBody, headers, ...delivery } = getDelivery(review.deliveryId) || {};
+
+    res.json({
+        success: true,
+        review,
+        delivery
+    });
+});
+
+// Pick the owning system among the claimants (any enabled system with "override": true):
+// the held delivery is routed and forwarded, and the choice is cached
+app.post('/admin/reviews/:id/resolve', requireScope('operator'), async (req, res) => {
+    const requestId = req.id;
+    const { systemId, override } = req.body;
+    const review = getReview(req.params.id);
+
+    logger.info('Admin review resolution requested', {
+        type: 'admin_review_resolve',
+        requestId,
+        admin_ip: req.ip,
+        review_id: req.params.id,
+        target_system: systemId,
+        override: override === true
+    });
+
+    if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+    }
+    if (review.status !== 'open') {
+        return res.status(409).json({ error: `Review is already ${review.status}` });
+    }
+
+    const system = getSystem(systemId);
+    if (!system) {
+        return res.status(400).json({ error: `systemId must name a registered system (claimants: ${review.claimants.join(', ')})` });
+    }
+    // Any other system has to be picked deliberately, since the choice is cached as the reference's owner
+    if (!review.claimants.includes(system.id) && override !== true) {
+        return res.status(400).json({
+            error: `${system.id} did not claim this reference (claimants: ${review.claimants.join(', ')}); pass "override": true to route it there anyway`
+        });
+    }
+    if (!system.enabled) {
+        return res.status(409).json({ error: `System ${system.id} is disabled` });
+    }
+
+    const delivery = getDelivery(review.deliveryId);
+    if (delivery?.status !== 'in_review') {
+        return res.status(409).json({
+            error: delivery
+                ? `The held delivery is already ${delivery.status}; discard the review instead`
+                : 'The held delivery no longer exists; discard the review instead'
+        });
+    }
+
+    try {
+        const closed = closeReview(review.id, { status: 'resolved', systemId: system.id, requestId });
+        resolutionCache.remember(review.reference, system.id);
+
+        const { delivery: attempted, result } = await attemptDelivery(routeDelivery(delivery, system, `review:${review.id}`), deliverToSystem);
+        res.locals.audit = { action: 'review.resolve', target: review.id, before: review, after: closed };
+
+        res.json({
+            success: result.success,
+            queued: attempted.status === 'retrying',
+            review: closed,
+            deliveryId: attempted.id,
+            deliveryStatus: attempted.status,
+            error: result.error
+        });
+    } catch (error) {
+        logger.error('Admin review resolution failed', {
+            type: 'admin_review_resolve_error',
+            requestId,
+            review_id: review.id,
+            target_system: system.id,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({ error: 'Failed to resolve review', requestId });
+    }
+});
+
+// Drop the held event without forwarding it anywhere
+app.delete('/admin/reviews/:id', requireScope('operator'), (req, res) => {
+    const requestId = req.id;
+    const review = getReview(req.params.id);
+
+    logger.info('Admin review discard requested', {
+        type: 'admin_review_discard',
+        requestId,
+        admin_ip: req.ip,
+        review_id: req.params.id
+    });
+
+    if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+    }
+    if (review.status !== 'open') {
+        return res.status(409).json({ error: `Review is already ${review.status}` });
+    }
+
+    // A held delivery that is already gone leaves nothing to drop, but the review still closes
+    const delivery = getDelivery(review.deliveryId);
+    if (delivery?.status === 'in_review') discardDelivery(delivery);
+    const closed = closeReview(review.id, { status: 'discarded', requestId });
+    res.locals.audit = { action: 'review.discard', target: review.id, before: review, after: closed };
+
+    res.json({
+        success: true,
+        review: closed
+    });
+});
+
+// ==============================================
+// 🚨 ALERTING ENDPOINTS
+// ==============================================
+
+// Alerts, firing first then newest first
+app.get('/admin/alerts', requireScope('read'), (req, res) => {
+    const { status, ruleId, subject, limit = 100 } = req.query;
+    const alerts = listAlerts({ status, ruleId, subject })
+        .sort((a, b) => (a.status === b.status ? 0 : a.status === 'firing' ? -1 : 1));
+
+    res.json({
+        success: true,
+        total: alerts.length,
+        alerts: alerts.slice(0, parseInt(limit, 10) || 100)
+    });
+});
+
+// Run an evaluation round now instead of waiting for the next one
+app.post('/admin/alerts/evaluate', requireScope('operator'), async (req, res) => {
+    const requestId = req.id;
+
+    try {
+        const changed = await evaluateAlerts();
+        res.json({
+            success: true,
+            changed,
+            stats: getAlertStats()
+        });
+    } catch (error) {
+        logger.error('Admin alert evaluation failed', {
+            type: 'admin_alert_evaluation_error',
+            requestId,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({ error: 'Failed to evaluate alert rules', requestId });
+    }
+});
+
+app.get('/admin/alert-rules', requireScope('read'), (req, res) => {
+    res.json({
+        success: true,
+        rules: alertRules.listRules()
+    });
+});
+
+app.get('/admin/alert-rules/:id', requireScope('read'), (req, res) => {
+    const rule = alertRules.getRule(req.params.id);
+
+    if (!rule) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json({
+        success: true,
+        rule,
+        alerts: listAlerts({ ruleId: rule.id })
+    });
+});
+
+app.post('/admin/alert-rules', requireScope('admin'), (req, res) => {
+    const errors = alertRules.validateRule(req.body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+    }
+    if (alertRules.getRule(req.body.id)) {
+        return res.status(409).json({ error: `Alert rule ${req.body.id} already exists` });
+    }
+
+    const rule = alertRules.createRule(req.body);
+    res.locals.audit = { action: 'alert_rule.create', target: rule.id, after: rule };
+
+    logger.info('Alert rule added', {
+        type: 'admin_alert_rule_added',
+        requestId: req.id,
+        admin_ip: req.ip,
+        rule_id: rule.id,
+        rule_type: rule.type,
+        channels: rule.channels
+    });
+
+    res.status(201).json({
+        success: true,
+        rule
+    });
+});
+
+// Changes apply from the next evaluation round
+app.patch('/admin/alert-rules/:id', requireScope('admin'), (req, res) => {
+    const before = alertRules.getRule(req.params.id);
+
+    if (!before) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const errors = alertRules.validateRule(req.body, { partial: true, existing: before });
+    if (req.body.id !== undefined && req.body.id !== req.params.id) {
+        errors.push('id cannot be changed');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+    }
+
+    const rule = alertRules.patchRule(req.params.id, req.body);
+    res.locals.audit = { action: 'alert_rule.update', target: rule.id, before, after: rule };
+
+    logger.info('Alert rule updated', {
+        type: 'admin_alert_rule_updated',
+        requestId: req.id,
+        admin_ip: req.ip,
+        rule_id: rule.id,
+        fields: Object.keys(req.body)
+    });
+
+    res.json({
+        success: true,
+        rule
+    });
+});
+
+// Its alerts go with it, without resolve notifications
+app.delete('/admin/alert-rules/:id', requireScope('admin'), (req, res) => {
+    const before = alertRules.getRule(req.params.id);
+
+    if (!alertRules.deleteRule(req.params.id)) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    forgetRuleAlerts(req.params.id);
+    res.locals.audit = { action: 'alert_rule.delete', target: req.params.id, before };
+
+    logger.info('Alert rule deleted', {
+        type: 'admin_alert_rule_deleted',
+        requestId: req.id,
+        admin_ip: req.ip,
+        rule_id: req.params.id
+    });
+
+    res.json({
+        success: true,
+        message: 'Alert rule deleted'
+    });
+});
+
+app.get('/admin/alert-channels', requireScope('read'), (req, res) => {
+    res.json({
+        success: true,
+        channels: listChannels().map(toPublicChannel),
+        stats: getChannelStats()
+    });
+});
+
+app.get('/admin/alert-channels/:id', requireScope('read'), (req, res) => {
+    const channel = getChannel(req.params.id);
+
+    if (!channel) {
+        return res.status(404).json({ error: 'Alert channel not found' });
+    }
+
+    res.json({
+        success: true,
+        channel: toPublicChannel(channel),
+        rules: alertRules.rulesUsingChannel(channel.id).map(rule => rule.id)
+    });
+});
+
+app.post('/admin/alert-channels', requireScope('admin'), (req, res) => {
+    const errors = validateChannel(req.body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert channel', details: errors });
+    }
+    if (getChannel(req.body.id)) {
+        return res.status(409).json({ error: `Alert channel ${req.body.id} already exists` });
+    }
+
+    const channel = createChannel(req.body);
+    res.locals.audit = { action: 'alert_channel.create', target: channel.id, after: toPublicChannel(channel) };
+
+    logger.info('Alert channel added', {
+        type: 'admin_alert_channel_added',
+        requestId: req.id,
+        admin_ip: req.ip,
+        channel_id: channel.id,
+        channel_type: channel.type
+    });
+
+    res.status(201).json({
+        success: true,
+        channel: toPublicChannel(channel)
+    });
+});
+
+app.patch('/admin/alert-channels/:id', requireScope('admin'), (req, res) => {
+    const before = getChannel(req.params.id);
+
+    if (!before) {
+        return res.status(404).json({ error: 'Alert channel not found' });
+    }
+
+    const errors = validateChannel(req.body, { partial: true, existing: before });
+    if (req.body.id !== undefined && req.body.id !== req.params.id) {
+        errors.push('id cannot be changed');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert channel', details: errors });
+    }
+
+    const channel = patchChannel(req.params.id, req.body);
+    res.locals.audit = {
+        action: 'alert_channel.update',
+        target: channel.id,
+        before: toPublicChannel(before),
+        after: toPublicChannel(channel)
+    };
+
+    logger.info('Alert channel updated', {
+        type: 'admin_alert_channel_updated',
+        requestId: req.id,
+        admin_ip: req.ip,
+        channel_id: channel.id,
+        fields: Object.keys(req.body)
+    });
+
+    res.json({
+        success: true,
+        channel: toPublicChannel(channel)
+    });
+});
+
+// Refused while a rule still sends to the channel
+app.delete('/admin/alert-channels/:id', requireScope('admin'), (req, res) => {
+    const before = getChannel(req.params.id);
+
+    if (!before) {
+        return res.status(404).json({ error: 'Alert channel not found' });
+    }
+
+    const rules = alertRules.rulesUsingChannel(before.id).map(rule => rule.id);
+    if (rules.length > 0) {
+        return res.status(409).json({ error: `Alert channel is used by rules: ${rules.join(', ')}`, rules });
+    }
+
+    deleteChannel(before.id);
+    res.locals.audit = { action: 'alert_channel.delete', target: before.id, before: toPublicChannel(before) };
+
+    logger.info('Alert channel deleted', {
+        type: 'admin_alert_channel_deleted',
+        requestId: req.id,
+        admin_ip: req.ip,
+        channel_id: before.id
+    });
+
+    res.json({
+        success: true,
+        message: 'Alert channel deleted'
+    });
+});
+
+// Send a test notification through the channel, enabled or not
+app.post('/admin/alert-channels/:id/test', requireScope('operator'), async (req, res) => {
+    const channel = getChannel(req.params.id);
+
+    logger.info('Admin alert channel test requested', {
+        type: 'admin_alert_channel_test',
+        requestId: req.id,
+        admin_ip: req.ip,
+        channel_id: req.params.id
+    });
+
+    if (!channel) {
+        return res.status(404).json({ error: 'Alert channel not found' });
+    }
+
+    try {
+        const result = await sendTestNotification(channel);
+        res.status(result.sent ? 200 : 502).json({
+            success: result.sent,
+            channelId: channel.id,
+            error: result.error
+        });
+    } catch (error) {
+        logger.error('Admin alert channel test failed', {
+            type: 'admin_alert_channel_test_error',
+            requestId: req.id,
+            channel_id: channel.id,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({ error: 'Failed to test alert channel', requestId: req.id });
+    }
+});
+
+// ==============================================
+// 🔑 API KEYS & AUDIT ENDPOINTS
+// ==============================================
+
+// List API keys (hashes are never returned)
+app.get('/admin/api-keys', requireScope('admin'), (req, res) => {
+    res.json({
+        success: true,
+        keys: listApiKeys()
+    });
+});
+
+// Issue a new API key - the plaintext is only shown in this response
+app.post('/admin/api-keys', requireScope('admin'), (req, res) => {
+    const requestId = req.id;
+    const { name, scope } = req.body;
+
+    if (!name || !SCOPES.includes(scope)) {
+        return res.status(400).json({ error: `name and a scope (${SCOPES.join(', ')}) are required` });
+    }
+
+    const { key, plaintext } = createApiKey({ name, scope });
+    res.locals.audit = { action: 'api_key.create', target: key.id, after: key };
+
+    logger.info('Admin API key created', {
+        type: 'admin_api_key_created',
+        requestId,
+        created_by: req.apiKey.id,
+        key_id: key.id,
+        key_scope: key.scope
+    });
+
+    res.status(201).json({
+        success: true,
+        key,
+        apiKey: plaintext
+    });
+});
+
+// Revoke an API key
+app.delete('/admin/api-keys/:id', requireScope('admin'), (req, res) => {
+    const requestId = req.id;
+    const key = revokeApiKey(req.params.id);
+
+    if (!key) {
+        return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    res.locals.audit = { action: 'api_key.revoke', target: key.id, after: key };
+
+    logger.info('Admin API key revoked', {
+        type: 'admin_api_key_revoked',
+        requestId,
+        revoked_by: req.apiKey.id,
+        key_id: key.id
+    });
+
+    res.json({
+        success: true,
+        key
+    });
+});
+
+// Query the audit trail
+app.get('/admin/audit', requireScope('admin'), (req, res) => {
+    const { keyId, action, target, from, to, limit = 100 } = req.query;
+    const records = listAudit({ keyId, action, target, from, to });
+
+    res.json({
+        success: true,
+        total: records.length,
+        records: records.slice(0, parseInt(limit, 10) || 100)
+    });
+});
+
+// ==============================================
+// 📈 METRICS & MONITORING ENDPOINTS
+// ==============================================
+
+// Prometheus scrape endpoint; set METRICS_TOKEN to require "Authorization: Bearer <token>"
+app.get('/metrics', async (req, res) => {
+    if (process.env.METRICS_TOKEN && !safeCompareStrings(`Bearer ${process.env.METRICS_TOKEN}`, req.get('Authorization'))) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+
+    try {
+        const body = await metrics.registry.metrics();
+        res.set('Content-Type', metrics.registry.contentType);
+        res.send(body);
+    } catch (error) {
+        logger.error('Metrics collection failed', {
+            type: 'metrics_collection_error',
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({ error: 'Failed to collect metrics' });
+    }
+});
+
+app.get('/admin/metrics', requireScope('read'), (req, res) => {
+    // No logging here
     const requestId = req.id;
 
     const metrics = {
@@ -668,8 +3183,29 @@ app.get('/admin/metrics', (req, res) => {
         memory: process.memoryUsage(),
         timestamp: new Date().toISOString(),
         systems: {
-            total: TICKETING_SYSTEMS.length,
-            enabled: TICKETING_SYSTEMS.filter(s => s.enabled).length
+            total: listSystems().length,
+            enabled: enabledSystems().length
+        },
+        providers: enabledProviders(),
+        subscribers: {
+            total: listSubscribers().length,
+            enabled: listSubscribers().filter(s => s.enabled).length
+        },
+        deliveries: getDeliveryStats(),
+        dispatchQueue: getDispatchQueueStats(),
+        dedup: getDedupStats(),
+        resolutionCache: resolutionCache.getCacheStats(),
+        deadLetters: getDeadLetterStats(),
+        reviews: getReviewStats(),
+        alerts: {
+            ...getAlertStats(),
+            channels: getChannelStats()
+        },
+        retention: getRetentionPolicy(),
+        ingress: {
+            trustProxy: TRUST_PROXY,
+            ipAllowlists: describeAllowlists(),
+            rateLimits: getRateLimitStats()
         }
     };
 
@@ -682,36 +3218,112 @@ app.get('/admin/metrics', (req, res) => {
 // ==============================================
 // 🚀 ENHANCED SERVER STARTUP WITH LOGGING
 // ==============================================
-app.listen(PORT, () => {
+// Stop functions of the background workers, called on shutdown
+const stopBackgroundWork = [];
+
+const server = app.listen(PORT, () => {
     logger.info('Webhook Dispatcher started successfully', {
         type: 'server_startup',
         port: PORT,
         environment: process.env.NODE_ENV,
-        systems_count: TICKETING_SYSTEMS.length,
-        log_level: process.env.LOG_LEVEL || 'info'
+        systems_count: listSystems().length,
+        log_level: process.env.LOG_LEVEL || 'info',
+        trust_proxy: TRUST_PROXY,
+        ip_allowlists: describeAllowlists()
     });
     
     console.log(`🚀 Webhook Dispatcher running on port ${PORT}`);
-    console.log(`🎫 Managing ${TICKETING_SYSTEMS.length} ticketing systems`);
+    console.log(`🎫 Managing ${listSystems().length} ticketing systems`);
+
+    stopBackgroundWork.push(
+        startRetryWorker(deliverToSystem),
+        startDispatchQueue(dispatchQueuedDelivery, listDeliveries({ status: 'routing' }).map(d => d.id)),
+        startDedupSweeper(),
+        resolutionCache.startResolutionCacheSweeper(),
+        startRateLimitSweeper(),
+        startPayloadRetentionSweeper(),
+        startHealthMonitor(),
+        startAlertEvaluator()
+    );
 });
 
 // ==============================================
 // 🔄 GRACEFUL SHUTDOWN WITH LOGGING
 // ==============================================
-const gracefulShutdown = (signal) => {
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Journal webhooks cut off mid-discovery as "routing" deliveries, so the next start routes them
+function saveUnroutedWebhooks() {
+    for (const [requestId, pending] of unroutedWebhooks) {
+        const delivery = createDelivery({ requestId, ...pending.message });
+        pending.deliveryId = delivery.id;
+        pending.response = { success: false, queued: true, requestId, deliveryId: delivery.id };
+        if (pending.dedupKey) recordOutcome(pending.dedupKey, 202, pending.response);
+    }
+    return unroutedWebhooks.size;
+}
+
+/**
+ * Stop accepting connections and background work, give in-flight requests and
+ * deliveries until SHUTDOWN_TIMEOUT_MS to finish, then flush the logs and exit.
+ * Deliveries are journaled before each attempt, so anything cut off resumes on the next start.
+ */
+const gracefulShutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    const shutdownStart = Date.now();
+
     logger.info('Graceful shutdown initiated', {
         type: 'server_shutdown',
         signal,
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        timeout_ms: SHUTDOWN_TIMEOUT_MS,
+        in_flight_deliveries: inFlightDeliveries().length,
+        active_dispatches: activeDispatches(),
+        unrouted_webhooks: unroutedWebhooks.size
     });
     
     console.log(`${signal} received. Shutting down gracefully...`);
-    
-    // Close server and cleanup
-    process.exit(0);
+
+    stopBackgroundWork.forEach(stop => stop());
+    const serverClosed = new Promise(resolve => server.close(resolve));
+
+    const drain = async () => {
+        await serverClosed;
+        while (inFlightDeliveries().length > 0 || activeDispatches() > 0) {
+            await sleep(100);
+        }
+        return true;
+    };
+    const drained = await Promise.race([drain(), sleep(SHUTDOWN_TIMEOUT_MS).then(() => false)]);
+
+    if (!drained) {
+        const saved = saveUnroutedWebhooks();
+        logger.warn('Shutdown deadline reached with work in flight', {
+            type: 'server_shutdown_timeout',
+            signal,
+            in_flight_deliveries: inFlightDeliveries(),
+            active_dispatches: activeDispatches(),
+            unrouted_webhooks_saved: saved
+        });
+        server.closeAllConnections();
+    }
+
+    logger.info('Graceful shutdown complete', {
+        type: 'server_shutdown_complete',
+        signal,
+        drained,
+        resumable_deliveries: ['routing', 'pending', 'retrying']
+            .reduce((count, status) => count + listDeliveries({ status }).length, 0),
+        duration_ms: Date.now() - shutdownStart
+    });
+
+    // Never let a stuck transport hold the process open
+    await Promise.race([flushLogger(), sleep(5000)]);
+    process.exit(drained ? 0 : 1);
 };
 
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
-export default app;
\ No newline at end of file
+export default app;
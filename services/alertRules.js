@@ -0,0 +1,180 @@
+import { createJournal } from './journal.js';
+import { getChannel } from './alertChannels.js';
+import { listProviders } from '../providers/index.js';
+
+/**
+ * Conditions that raise an alert, by `type`:
+ *   forward_failures   - `threshold` failed forwards within `windowMinutes`, per delivery target
+ *                        (or only `systemId`)
+ *   signature_failures - `threshold` signature rejections within `windowMinutes`, across
+ *                        providers (or only `provider`)
+ *   no_webhooks        - nothing received for `windowMinutes` (from anyone, or from `provider`)
+ *   system_unhealthy   - the last `failedChecks` health checks of a system (or only `systemId`) failed
+ * A firing alert is announced once, repeated every `throttleMinutes` while it lasts
+ * (0 = never), and announced again when it resolves. A notice no channel accepted is
+ * retried every evaluation round.
+ */
+const RULE_TYPES = {
+    forward_failures: { required: ['threshold', 'windowMinutes'], fields: ['systemId', 'threshold', 'windowMinutes'] },
+    signature_failures: { required: ['threshold', 'windowMinutes'], fields: ['provider', 'threshold', 'windowMinutes'] },
+    no_webhooks: { required: ['windowMinutes'], fields: ['provider', 'windowMinutes'] },
+    system_unhealthy: { required: [], fields: ['systemId', 'failedChecks'] }
+};
+
+// Seeded on the very first start; edit or disable them through the admin API
+const DEFAULT_RULES = [
+    { id: 'forward-failures', name: 'Forward failures', type: 'forward_failures', threshold: 5, windowMinutes: 10 },
+    { id: 'signature-failures', name: 'Signature failure spike', type: 'signature_failures', threshold: 20, windowMinutes: 5 },
+    { id: 'no-webhooks', name: 'No webhooks received', type: 'no_webhooks', windowMinutes: 60 },
+    { id: 'system-unhealthy', name: 'System unhealthy', type: 'system_unhealthy' }
+];
+
+const RULE_DEFAULTS = {
+    enabled: true,
+    channels: ['alerts-file'],
+    throttleMinutes: 60,
+    failedChecks: 2
+};
+
+const COMMON_FIELDS = ['name', 'type', 'enabled', 'channels', 'throttleMinutes'];
+const MAX_WINDOW_MINUTES = 1440;
+
+const journal = createJournal('alert-rules');
+
+if (!journal.existed) {
+    const now = new Date().toISOString();
+    DEFAULT_RULES.forEach(rule => journal.put(withDefaults({ ...rule, createdAt: now, updatedAt: now })));
+}
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+function withDefaults(rule) {
+    const defaults = Object.fromEntries(
+        Object.entries(RULE_DEFAULTS).filter(([field]) => COMMON_FIELDS.includes(field) || RULE_TYPES[rule.type].fields.includes(field))
+    );
+    return { id: rule.id, ...defaults, ...rule };
+}
+
+export function validateRule(input, { partial = false, existing = null } = {}) {
+    const errors = [];
+    const has = (field) => input[field] !== undefined;
+    const type = input.type ?? existing?.type;
+
+    const unknownFields = Object.keys(input).filter(field =>
+        field !== 'id' && !COMMON_FIELDS.includes(field) && !Object.values(RULE_TYPES).some(t => t.fields.includes(field)));
+    if (unknownFields.length > 0) {
+        errors.push(`Unknown fields: ${unknownFields.join(', ')}`);
+    }
+
+    if (!partial) {
+        ['id', 'name', 'type'].filter(field => !has(field)).forEach(field => errors.push(`${field} is required`));
+    }
+
+    if (has('id') && !/^[a-z0-9][a-z0-9_-]*$/i.test(input.id)) {
+        errors.push('id may only contain letters, numbers, "-" and "_"');
+    }
+    if (has('name') && (typeof input.name !== 'string' || !input.name.trim())) {
+        errors.push('name must be a non-empty string');
+    }
+    if (has('enabled') && typeof input.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+    if (has('channels')) {
+        if (!Array.isArray(input.channels) || input.channels.length === 0 || !input.channels.every(id => typeof id === 'string')) {
+            errors.push('channels must be a non-empty list of alert channel ids');
+        } else {
+            const missing = input.channels.filter(id => !getChannel(id));
+            if (missing.length > 0) errors.push(`Unknown alert channels: ${missing.join(', ')}`);
+        }
+    }
+    if (has('throttleMinutes') && !isInteger(input.throttleMinutes, 0, 10080)) {
+        errors.push('throttleMinutes must be an integer between 0 and 10080');
+    }
+
+    // hasOwn: an inherited name like "constructor" is not a rule type
+    if (type !== undefined && !Object.hasOwn(RULE_TYPES, type)) {
+        errors.push(`type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+        return errors;
+    }
+    if (has('type') && existing && input.type !== existing.type) {
+        errors.push('type cannot be changed; create a new rule instead');
+    }
+    if (!type) return errors;
+
+    const typeFields = RULE_TYPES[type].fields;
+    const foreign = Object.keys(input).filter(field =>
+        field !== 'id' && !COMMON_FIELDS.includes(field) && !typeFields.includes(field) && !unknownFields.includes(field));
+    if (foreign.length > 0) {
+        errors.push(`${type} rules do not take: ${foreign.join(', ')}`);
+    }
+    if (!existing) {
+        RULE_TYPES[type].required.filter(field => !has(field)).forEach(field => errors.push(`${field} is required for ${type} rules`));
+    }
+
+    if (has('threshold') && !isInteger(input.threshold, 1, 100000)) {
+        errors.push('threshold must be a positive integer');
+    }
+    if (has('windowMinutes') && !isInteger(input.windowMinutes, 1, MAX_WINDOW_MINUTES)) {
+        errors.push(`windowMinutes must be an integer between 1 and ${MAX_WINDOW_MINUTES}`);
+    }
+    if (has('failedChecks') && !isInteger(input.failedChecks, 1, 100)) {
+        errors.push('failedChecks must be an integer between 1 and 100');
+    }
+    if (has('systemId') && (typeof input.systemId !== 'string' || !input.systemId.trim())) {
+        errors.push('systemId must be a system id');
+    }
+    if (has('provider') && !listProviders().some(p => p.id === input.provider)) {
+        errors.push(`provider must be one of: ${listProviders().map(p => p.id).join(', ')}`);
+    }
+
+    return errors;
+}
+
+function normalize(input) {
+    const rule = {};
+    [...COMMON_FIELDS, ...RULE_TYPES[input.type].fields].filter(field => input[field] !== undefined).forEach(field => {
+        rule[field] = input[field];
+    });
+    return rule;
+}
+
+export function listRules() {
+    return journal.values();
+}
+
+export function getRule(id) {
+    return journal.get(id);
+}
+
+// Rules that send to this channel, so it cannot be deleted from under them
+export function rulesUsingChannel(channelId) {
+    return journal.values().filter(rule => rule.channels.includes(channelId));
+}
+
+// Longest window any rule looks back over, in minutes
+export function longestRuleWindow() {
+    return Math.max(0, ...journal.values().map(rule => rule.windowMinutes || 0));
+}
+
+export function createRule(input) {
+    const now = new Date().toISOString();
+    return journal.put(withDefaults({
+        ...normalize(input),
+        id: input.id,
+        createdAt: now,
+        updatedAt: now
+    }));
+}
+
+export function patchRule(id, changes) {
+    const rule = journal.get(id);
+    return journal.put({
+        ...rule,
+        ...normalize({ ...changes, type: rule.type }),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+export function deleteRule(id) {
+    return journal.remove(id);
+}
@@ -0,0 +1,333 @@
+import logger from '../logger.js';
+import { createJournal } from './journal.js';
+import * as metrics from './metrics.js';
+import { listRules, getRule, longestRuleWindow } from './alertRules.js';
+import { getChannel, sendNotification } from './alertChannels.js';
+import { getHealthSnapshot, getHealthHistory } from './healthMonitor.js';
+
+const EVAL_INTERVAL_MS = parseInt(process.env.ALERT_EVAL_INTERVAL_MS, 10) || 30000;
+
+// One record per rule and subject (a system, a provider or "*"), so a condition that keeps
+// coming back reuses its alert instead of piling up new ones
+const journal = createJournal('alerts');
+
+/**
+ * Counter readings taken every evaluation, oldest first, kept for the longest rule window.
+ * Windowed rules compare the latest reading with the one from the start of their window,
+ * so nothing on the request path has to know about alerting.
+ */
+const samples = [];
+let samplingSince = null;
+let lastEvaluatedAt = null;
+let evaluating = null;
+
+async function counterTotals(counter, label, where = () => true) {
+    const totals = {};
+    (await counter.get()).values.filter(({ labels }) => where(labels)).forEach(({ labels, value }) => {
+        totals[labels[label]] = (totals[labels[label]] || 0) + value;
+    });
+    return totals;
+}
+
+async function takeSample() {
+    const [forwardFailures, signatureFailures, received] = await Promise.all([
+        counterTotals(metrics.forwards, 'system', labels => labels.outcome === 'failure'),
+        counterTotals(metrics.signatureFailures, 'provider'),
+        counterTotals(metrics.webhooksReceived, 'provider')
+    ]);
+    samples.push({ at: Date.now(), forwardFailures, signatureFailures, received });
+    samplingSince ??= samples[0].at;
+
+    const keepSince = Date.now() - longestRuleWindow() * 60000 - EVAL_INTERVAL_MS;
+    while (samples.length > 2 && samples[1].at <= keepSince) samples.shift();
+}
+
+const readCounter = (sample, counter, key) => (key === '*'
+    ? Object.values(sample[counter]).reduce((sum, value) => sum + value, 0)
+    : sample[counter][key] || 0);
+
+/**
+ * How much a counter grew over the last `windowMinutes`. `covered` is false while the
+ * dispatcher has not been up (sampling) for the whole window.
+ */
+function increase(counter, key, windowMinutes) {
+    const windowStart = Date.now() - windowMinutes * 60000;
+    const latest = samples[samples.length - 1];
+    const baseline = samples.filter(sample => sample.at <= windowStart).pop() || samples[0];
+
+    return {
+        value: readCounter(latest, counter, key) - readCounter(baseline, counter, key),
+        covered: baseline.at <= windowStart
+    };
+}
+
+const fromProvider = (provider) => (provider ? ` from ${provider}` : '');
+
+const firingSubjects = (rule) => journal.values()
+    .filter(alert => alert.ruleId === rule.id && alert.status === 'firing')
+    .map(alert => alert.subject);
+
+/**
+ * Current state of a rule per subject: { subject, firing, value, message, covered? }. `firing`
+ * is null when there is not enough data to tell, which leaves the alert as it is.
+ */
+const evaluators = {
+    forward_failures(rule) {
+        const subjects = rule.systemId
+            ? [rule.systemId]
+            : [...new Set([...Object.keys(samples[samples.length - 1].forwardFailures), ...firingSubjects(rule)])];
+
+        return subjects.map(subject => {
+            const { value, covered } = increase('forwardFailures', subject, rule.windowMinutes);
+            const firing = value >= rule.threshold;
+            return {
+                subject,
+                firing,
+                value,
+                covered,
+                message: firing
+                    ? `${value} forwards to ${subject} failed in the last ${rule.windowMinutes} min (threshold ${rule.threshold})`
+                    : `Forward failures to ${subject} are back under ${rule.threshold} per ${rule.windowMinutes} min (${value})`
+            };
+        });
+    },
+
+    signature_failures(rule) {
+        const { value, covered } = increase('signatureFailures', rule.provider || '*', rule.windowMinutes);
+        const firing = value >= rule.threshold;
+        return [{
+            subject: rule.provider || '*',
+            firing,
+            value,
+            covered,
+            message: firing
+                ? `${value} webhooks${fromProvider(rule.provider)} failed signature verification in the last ${rule.windowMinutes} min (threshold ${rule.threshold})`
+                : `Signature failures${fromProvider(rule.provider)} are back under ${rule.threshold} per ${rule.windowMinutes} min (${value})`
+        }];
+    },
+
+    no_webhooks(rule) {
+        const { value, covered } = increase('received', rule.provider || '*', rule.windowMinutes);
+        const firing = value > 0 ? false : covered || null;
+        return [{
+            subject: rule.provider || '*',
+            firing,
+            value,
+            message: firing
+                ? `No webhooks received${fromProvider(rule.provider)} in the last ${rule.windowMinutes} min`
+                : `Webhooks${fromProvider(rule.provider)} are arriving again (${value} in the last ${rule.windowMinutes} min)`
+        }];
+    },
+
+    system_unhealthy(rule) {
+        return getHealthSnapshot().systems
+            .filter(system => (rule.systemId ? system.id === rule.systemId : system.enabled))
+            .map(system => {
+                const checks = getHealthHistory(system.id, { limit: rule.failedChecks }).samples;
+                const firing = checks.length < rule.failedChecks ? null : checks.every(check => check.status === 'unhealthy');
+                return {
+                    subject: system.id,
+                    firing,
+                    value: checks.filter(check => check.status === 'unhealthy').length,
+                    message: firing
+                        ? `${system.name} (${system.id}) failed its last ${rule.failedChecks} health checks: ${system.error}`
+                        : `${system.name} (${system.id}) is ${system.status} again`
+                };
+            });
+    }
+};
+
+async function notify(rule, alert, { state, reminder = false }) {
+    const notification = {
+        alertId: alert.id,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        ruleType: rule.type,
+        subject: alert.subject,
+        state,
+        reminder,
+        value: alert.value,
+        message: alert.message,
+        firedAt: alert.firedAt,
+        resolvedAt: alert.resolvedAt,
+        at: new Date().toISOString()
+    };
+
+    const channels = rule.channels.map(getChannel).filter(channel => channel?.enabled);
+    const results = await Promise.all(channels.map(channel => sendNotification(channel, notification)));
+    return results.filter(result => result.sent).length;
+}
+
+/**
+ * Send the notice for the alert's current state. `announced` and `lastNotifiedAt` only move
+ * when at least one channel took it; otherwise the next round tries again.
+ */
+async function announce(rule, alert, { reminder = false } = {}) {
+    const sent = await notify(rule, alert, { state: alert.status, reminder });
+    if (sent === 0) return alert;
+    return journal.put({ ...alert, announced: true, lastNotifiedAt: new Date().toISOString() });
+}
+
+async function applyResult(rule, result, now) {
+    const id = `${rule.id}:${result.subject}`;
+    const alert = journal.get(id);
+    const wasFiring = alert?.status === 'firing';
+
+    if (result.firing === null) return null;
+    // Counters restart at zero with the process, so an alert carried over from the previous
+    // run only clears once a full window has been seen
+    if (!result.firing && wasFiring && result.covered === false && Date.parse(alert.firedAt) < samplingSince) return null;
+
+    if (result.firing && !wasFiring) {
+        const fired = journal.put({
+            id,
+            ruleId: rule.id,
+            ruleType: rule.type,
+            subject: result.subject,
+            status: 'firing',
+            value: result.value,
+            message: result.message,
+            firedAt: now,
+            resolvedAt: null,
+            announced: false,
+            lastNotifiedAt: null,
+            occurrences: (alert?.occurrences || 0) + 1
+        });
+        logger.warn('Alert fired', {
+            type: 'alert_fired',
+            alert_id: id,
+            rule_id: rule.id,
+            subject: result.subject,
+            value: result.value,
+            message: result.message
+        });
+        return announce(rule, fired);
+    }
+
+    if (result.firing && alert.announced === false) {
+        return announce(rule, journal.put({ ...alert, value: result.value, message: result.message }));
+    }
+
+    if (result.firing && rule.throttleMinutes > 0 &&
+        Date.parse(now) - Date.parse(alert.lastNotifiedAt) >= rule.throttleMinutes * 60000) {
+        return announce(rule, journal.put({ ...alert, value: result.value, message: result.message }), { reminder: true });
+    }
+
+    if (!result.firing && wasFiring) {
+        return resolveAlert(rule, alert, now, result);
+    }
+    if (!result.firing && alert?.status === 'resolved' && alert.announced === false) {
+        return announce(rule, alert);
+    }
+    return null;
+}
+
+async function resolveAlert(rule, alert, now, result = null) {
+    const resolved = journal.put({
+        ...alert,
+        status: 'resolved',
+        value: result ? result.value : alert.value,
+        message: result ? result.message : alert.message,
+        resolvedAt: now,
+        resolvedBy: result ? 'condition_cleared' : 'rule_changed',
+        // A disabled or deleted rule's alerts close quietly; the operator did that on purpose
+        announced: !result
+    });
+    logger.info('Alert resolved', {
+        type: 'alert_resolved',
+        alert_id: alert.id,
+        rule_id: alert.ruleId,
+        subject: alert.subject,
+        resolved_by: resolved.resolvedBy,
+        duration_ms: Date.parse(now) - Date.parse(alert.firedAt)
+    });
+
+    return result ? announce(rule, resolved) : resolved;
+}
+
+async function runEvaluation() {
+    await takeSample();
+    const now = new Date().toISOString();
+    const changed = [];
+
+    for (const rule of listRules().filter(r => r.enabled)) {
+        const results = evaluators[rule.type](rule);
+        for (const result of results) {
+            const alert = await applyResult(rule, result, now);
+            if (alert) changed.push(alert);
+        }
+
+        // Subjects that vanished (a deleted system, a narrowed rule) have nothing left to alert on
+        const evaluated = new Set(results.map(result => `${rule.id}:${result.subject}`));
+        const orphaned = journal.values().filter(alert => alert.ruleId === rule.id && alert.status === 'firing' && !evaluated.has(alert.id));
+        for (const alert of orphaned) {
+            changed.push(await resolveAlert(rule, alert, now, { value: alert.value, message: `${alert.subject} is no longer watched by this rule` }));
+        }
+    }
+
+    for (const alert of journal.values().filter(a => a.status === 'firing' && !getRule(a.ruleId)?.enabled)) {
+        changed.push(await resolveAlert(getRule(alert.ruleId), alert, now));
+    }
+
+    listRules().forEach(rule => metrics.alertsFiring.set(
+        { rule: rule.id },
+        journal.values().filter(alert => alert.ruleId === rule.id && alert.status === 'firing').length
+    ));
+    lastEvaluatedAt = now;
+    return changed;
+}
+
+// Evaluate every enabled rule now; overlapping calls share one round. Returns the alerts that changed.
+export function evaluateAlerts() {
+    evaluating ??= runEvaluation().finally(() => {
+        evaluating = null;
+    });
+    return evaluating;
+}
+
+export function listAlerts({ status, ruleId, subject } = {}) {
+    return journal.values()
+        .filter(alert => !status || alert.status === status)
+        .filter(alert => !ruleId || alert.ruleId === ruleId)
+        .filter(alert => !subject || alert.subject === subject)
+        .sort((a, b) => (b.firedAt > a.firedAt ? 1 : -1));
+}
+
+// Drop the alerts of a deleted rule and its gauge
+export function forgetRuleAlerts(ruleId) {
+    journal.values().filter(alert => alert.ruleId === ruleId).forEach(alert => journal.remove(alert.id));
+    metrics.alertsFiring.remove({ rule: ruleId });
+}
+
+export function getAlertStats() {
+    const alerts = journal.values();
+    return {
+        rules: listRules().length,
+        enabledRules: listRules().filter(rule => rule.enabled).length,
+        firing: alerts.filter(alert => alert.status === 'firing').length,
+        resolved: alerts.filter(alert => alert.status === 'resolved').length,
+        evaluationIntervalMs: EVAL_INTERVAL_MS,
+        lastEvaluatedAt
+    };
+}
+
+export function startAlertEvaluator() {
+    const tick = () => evaluateAlerts().catch(error => {
+        logger.error('Alert evaluation failed', {
+            type: 'alert_evaluation_error',
+            error: error.message,
+            stack: error.stack
+        });
+    });
+
+    tick();
+    const timer = setInterval(tick, EVAL_INTERVAL_MS);
+
+    logger.info('Alert evaluator started', {
+        type: 'alert_evaluator_start',
+        evaluation_interval_ms: EVAL_INTERVAL_MS,
+        rules: listRules().filter(rule => rule.enabled).map(rule => rule.id)
+    });
+
+    return () => clearInterval(timer);
+}
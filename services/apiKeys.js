@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { createJournal } from './journal.js';
+import { safeCompareHex } from './signatures.js';
+
+// Each scope includes everything the scopes before it allow
+export const SCOPES = ['read', 'operator', 'admin'];
+
+const journal = createJournal('api-keys');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Optional break-glass admin key from the environment, used to create the first real keys
+const BOOTSTRAP_KEY_HASH = process.env.ADMIN_BOOTSTRAP_KEY ? hashSecret(process.env.ADMIN_BOOTSTRAP_KEY) : null;
+
+export function scopeAllows(granted, required) {
+    return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+}
+
+// Key records without the hash, safe to return from the API
+const toPublicKey = ({ hash, ...key }) => key;
+
+/**
+ * Issue a new key. The plaintext is `wd_<id>_<secret>`; only a SHA-256 of it
+ * is stored, so it is returned here once and never again.
+ */
+export function createApiKey({ name, scope }) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const plaintext = `wd_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const key = journal.put({
+        id,
+        name,
+        scope,
+        hash: hashSecret(plaintext),
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    });
+
+    return { key: toPublicKey(key), plaintext };
+}
+
+// Resolve a presented key to its record, or null when unknown or revoked
+export function authenticateKey(plaintext) {
+    if (typeof plaintext !== 'string' || !plaintext) return null;
+
+    if (BOOTSTRAP_KEY_HASH && safeCompareHex(BOOTSTRAP_KEY_HASH, hashSecret(plaintext))) {
+        return { id: 'bootstrap', name: 'ADMIN_BOOTSTRAP_KEY', scope: 'admin' };
+    }
+
+    const [, id] = plaintext.match(/^wd_([0-9a-f]+)_/) || [];
+    const key = id && journal.get(id);
+
+    if (!key || key.revokedAt || !safeCompareHex(key.hash, hashSecret(plaintext))) {
+        return null;
+    }
+    return toPublicKey(key);
+}
+
+export function listApiKeys() {
+    return journal.values().map(toPublicKey);
+}
+
+export function getApiKey(id) {
+    const key = journal.get(id);
+    return key ? toPublicKey(key) : null;
+}
+
+export function revokeApiKey(id) {
+    const key = journal.get(id);
+    if (!key || key.revokedAt) return null;
+
+    return toPublicKey(journal.put({ ...key, revokedAt: new Date().toISOString() }));
+}
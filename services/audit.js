@@ -0,0 +1,37 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createJournal } from './journal.js';
+
+// Audit records are written once and never updated, so compaction never has stale lines to drop
+const journal = createJournal('audit');
+
+export function recordAudit({ requestId, apiKey, ip, method, path, statusCode, action, target, before, after }) {
+    return journal.put({
+        id: uuidv4(),
+        at: new Date().toISOString(),
+        requestId,
+        keyId: apiKey?.id || null,
+        keyName: apiKey?.name || null,
+        scope: apiKey?.scope || null,
+        ip,
+        method,
+        path,
+        statusCode,
+        action,
+        target: target ?? null,
+        before: before ?? null,
+        after: after ?? null
+    });
+}
+
+export function listAudit({ keyId, action, target, from, to } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    return journal.values()
+        .filter(r => !keyId || r.keyId === keyId)
+        .filter(r => !action || r.action === action)
+        .filter(r => !target || r.target === target)
+        .filter(r => fromTime === null || new Date(r.at).getTime() >= fromTime)
+        .filter(r => toTime === null || new Date(r.at).getTime() <= toTime)
+        .sort((a, b) => b.at.localeCompare(a.at));
+}
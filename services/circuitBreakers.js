@@ -0,0 +1,127 @@
+import logger from '../logger.js';
+import * as metrics from './metrics.js';
+
+const DEFAULT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+const DEFAULT_COOLDOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 30000;
+const MAX_TRANSITIONS = 20;
+
+// Breaker state per system id; held in memory, every breaker starts closed on boot
+const breakers = new Map();
+
+const settingsFor = (system) => ({
+    failureThreshold: system.circuitBreaker?.failureThreshold || DEFAULT_FAILURE_THRESHOLD,
+    cooldownMs: system.circuitBreaker?.cooldownMs || DEFAULT_COOLDOWN_MS
+});
+
+function getBreaker(systemId) {
+    if (!breakers.has(systemId)) {
+        breakers.set(systemId, {
+            state: 'closed',
+            consecutiveFailures: 0,
+            openedAt: null,
+            trialInFlight: false,
+            transitions: []
+        });
+    }
+    return breakers.get(systemId);
+}
+
+function transition(systemId, breaker, to, reason) {
+    const from = breaker.state;
+    breaker.state = to;
+    breaker.transitions = [{ from, to, reason, at: new Date().toISOString() }, ...breaker.transitions].slice(0, MAX_TRANSITIONS);
+    metrics.circuitOpen.set({ system: systemId }, to === 'closed' ? 0 : 1);
+
+    const log = to === 'open' ? logger.warn : logger.info;
+    log.call(logger, `Circuit breaker ${to} for system`, {
+        type: 'circuit_state_changed',
+        system_id: systemId,
+        from,
+        to,
+        reason,
+        consecutive_failures: breaker.consecutiveFailures
+    });
+}
+
+/**
+ * Ask whether a call to `system` may go ahead. Closed breakers always allow;
+ * open breakers refuse until the cool-down has passed, then let exactly one
+ * trial call through (half-open) whose outcome closes or re-opens the breaker.
+ */
+export function canRequest(system) {
+    const breaker = getBreaker(system.id);
+
+    if (breaker.state === 'closed') return true;
+
+    if (breaker.state === 'open') {
+        if (Date.now() - breaker.openedAt < settingsFor(system).cooldownMs) return false;
+        transition(system.id, breaker, 'half_open', 'cooldown_elapsed');
+    }
+
+    if (breaker.trialInFlight) return false;
+    breaker.trialInFlight = true;
+    return true;
+}
+
+// What canRequest would answer, without moving the breaker or taking the trial slot
+export function wouldAllowRequest(system) {
+    const breaker = getBreaker(system.id);
+
+    if (breaker.state === 'closed') return true;
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt < settingsFor(system).cooldownMs) return false;
+    return !breaker.trialInFlight;
+}
+
+export function recordSuccess(system) {
+    const breaker = getBreaker(system.id);
+    breaker.consecutiveFailures = 0;
+    breaker.trialInFlight = false;
+
+    if (breaker.state !== 'closed') {
+        breaker.openedAt = null;
+        transition(system.id, breaker, 'closed', 'trial_succeeded');
+    }
+}
+
+export function recordFailure(system, reason) {
+    const breaker = getBreaker(system.id);
+    breaker.consecutiveFailures++;
+    breaker.trialInFlight = false;
+
+    const shouldOpen = breaker.state === 'half_open' ||
+        (breaker.state === 'closed' && breaker.consecutiveFailures >= settingsFor(system).failureThreshold);
+
+    if (shouldOpen) {
+        breaker.openedAt = Date.now();
+        transition(system.id, breaker, 'open', reason);
+    }
+}
+
+// Give back the trial slot of a call abandoned before it had an outcome (e.g. an aborted
+// discovery probe), so the next caller can make the trial instead
+export function releaseTrial(system) {
+    getBreaker(system.id).trialInFlight = false;
+}
+
+// When an open breaker will next allow a trial call
+export function retryAfter(system) {
+    const breaker = getBreaker(system.id);
+    if (breaker.state !== 'open') return new Date();
+    return new Date(breaker.openedAt + settingsFor(system).cooldownMs);
+}
+
+export function getBreakerState(system) {
+    const { state, consecutiveFailures, openedAt, transitions } = getBreaker(system.id);
+    return {
+        state,
+        consecutiveFailures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        ...settingsFor(system),
+        transitions
+    };
+}
+
+export function forgetBreaker(systemId) {
+    breakers.delete(systemId);
+    metrics.circuitOpen.remove({ system: systemId });
+}
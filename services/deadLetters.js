@@ -0,0 +1,111 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../logger.js';
+import { createJournal } from './journal.js';
+
+const journal = createJournal('dead-letters');
+
+/**
+ * Park an event that could not be delivered.
+ * `reason` is either 'retries_exhausted' or 'no_system_found'; fan-out copies
+ * carry the `subscriberId` they were meant for instead of a `systemId`.
+ */
+export function addDeadLetter({
+    reason,
+    requestId,
+    systemId = null,
+    subscriberId = null,
+    deliveryId = null,
+    provider,
+    event,
+    reference,
+    payload,
+    rawBody,
+    headers,
+    lastError = null
+}) {
+    const deadLetter = journal.put({
+        id: uuidv4(),
+        reason,
+        status: 'open',
+        requestId,
+        systemId,
+        subscriberId,
+        deliveryId,
+        provider,
+        reference,
+        event,
+        payload,
+        rawBody,
+        headers,
+        lastError,
+        replays: [],
+        createdAt: new Date().toISOString()
+    });
+
+    logger.warn('Event moved to dead-letter queue', {
+        type: 'dead_letter_added',
+        requestId,
+        dead_letter_id: deadLetter.id,
+        reason,
+        target_system: subscriberId ? `subscriber:${subscriberId}` : systemId,
+        provider,
+        reference,
+        event
+    });
+
+    return deadLetter;
+}
+
+export function getDeadLetter(id) {
+    return journal.get(id);
+}
+
+export function listDeadLetters({ provider, reference, event, systemId, subscriberId, reason, status, from, to } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    return journal.values()
+        .filter(d => !provider || (d.provider || 'paystack') === provider)
+        .filter(d => !reference || d.reference === reference)
+        .filter(d => !event || d.event === event)
+        .filter(d => !systemId || d.systemId === systemId)
+        .filter(d => !subscriberId || d.subscriberId === subscriberId)
+        .filter(d => !reason || d.reason === reason)
+        .filter(d => !status || d.status === status)
+        .filter(d => fromTime === null || new Date(d.createdAt).getTime() >= fromTime)
+        .filter(d => toTime === null || new Date(d.createdAt).getTime() <= toTime)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export function markReplayed(id, replay) {
+    const deadLetter = journal.get(id);
+    if (!deadLetter) return null;
+
+    return journal.put({
+        ...deadLetter,
+        status: 'replayed',
+        replays: [...deadLetter.replays, { ...replay, at: new Date().toISOString() }]
+    });
+}
+
+// Dead letters keep the full event for replay until it is older than `before`; then only the record remains
+export function purgeDeadLetterPayloads(before) {
+    const cutoff = new Date(before).getTime();
+    const expired = journal.values().filter(d => d.payload != null && new Date(d.createdAt).getTime() < cutoff);
+
+    expired.forEach(d => journal.put({ ...d, payload: null, rawBody: null, headers: null, payloadPurgedAt: new Date().toISOString() }));
+    return expired.length;
+}
+
+export function discardDeadLetter(id) {
+    return journal.remove(id);
+}
+
+export function getDeadLetterStats() {
+    const stats = { total: 0, open: 0, replayed: 0 };
+    for (const deadLetter of journal.values()) {
+        stats.total++;
+        stats[deadLetter.status]++;
+    }
+    return stats;
+}
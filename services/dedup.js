@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import logger from '../logger.js';
+import { createJournal } from './journal.js';
+
+const RETENTION_MS = (parseFloat(process.env.DEDUP_RETENTION_HOURS) || 72) * 3600000;
+// A claim still without an outcome after this long was abandoned (the request died); a retry may take it over
+const PROCESSING_TIMEOUT_MS = parseInt(process.env.DEDUP_PROCESSING_TIMEOUT_MS, 10) || 300000; // 5 min
+const SWEEP_INTERVAL_MS = 15 * 60000;
+
+const journal = createJournal('dedup');
+
+// No request survives a restart, so claims left without an outcome belong to a process that
+// crashed mid-request; keeping them would answer every provider retry "processing" for days
+const abandoned = journal.values().filter(record => record.outcome === null);
+abandoned.forEach(record => journal.remove(record.id));
+if (abandoned.length > 0) {
+    logger.warn('Dropped dedup claims left unsettled by the previous run', {
+        type: 'dedup_abandoned_claims',
+        dropped: abandoned.length,
+        event_keys: abandoned.map(record => record.id)
+    });
+}
+
+// Duplicates suppressed since this process started
+let suppressedCount = 0;
+
+// Provider event identity: the provider's own event/transaction id, else the reference, else the body itself
+export function buildEventKey(provider, event, eventId, reference, rawBody = '') {
+    const identity = eventId ?? reference ?? `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+    return `${provider}:${event}:${identity}`;
+}
+
+const isLive = (record, now) => new Date(record.expiresAt).getTime() > now &&
+    (record.outcome !== null || new Date(record.firstSeenAt).getTime() + PROCESSING_TIMEOUT_MS > now);
+
+/**
+ * Claim an event key for processing. Returns null when the key is new (or its
+ * previous record has expired, or was never settled within PROCESSING_TIMEOUT_MS),
+ * otherwise the existing record - a duplicate.
+ */
+export function claimEvent(key, requestId) {
+    const existing = journal.get(key);
+    const now = Date.now();
+
+    if (existing && isLive(existing, now)) {
+        suppressedCount++;
+        journal.put({
+            ...existing,
+            duplicates: existing.duplicates + 1,
+            lastDuplicateAt: new Date(now).toISOString()
+        });
+        return existing;
+    }
+
+    journal.put({
+        id: key,
+        requestId,
+        outcome: null,
+        duplicates: 0,
+        firstSeenAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + RETENTION_MS).toISOString()
+    });
+    return null;
+}
+
+// Remember how the original copy was answered so duplicates get the same answer
+export function recordOutcome(key, statusCode, body) {
+    const existing = journal.get(key);
+    if (!existing) return;
+
+    journal.put({ ...existing, outcome: { statusCode, body } });
+}
+
+// Forget a claim whose processing crashed, so a provider retry is handled normally
+export function releaseEvent(key) {
+    journal.remove(key);
+}
+
+export function getDedupStats() {
+    return {
+        tracked_events: journal.size(),
+        suppressed_duplicates: suppressedCount,
+        retention_hours: RETENTION_MS / 3600000,
+        processing_timeout_ms: PROCESSING_TIMEOUT_MS
+    };
+}
+
+export function startDedupSweeper() {
+    const sweep = () => {
+        const now = Date.now();
+        let purged = 0;
+
+        for (const record of journal.values()) {
+            if (!isLive(record, now)) {
+                journal.remove(record.id);
+                purged++;
+            }
+        }
+
+        if (purged > 0) {
+            logger.debug('Expired dedup records purged', {
+                type: 'dedup_sweep',
+                purged,
+                remaining: journal.size()
+            });
+        }
+    };
+
+    sweep();
+    const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    return () => clearInterval(timer);
+}
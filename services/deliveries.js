@@ -0,0 +1,397 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../logger.js';
+import { createJournal } from './journal.js';
+import { addDeadLetter } from './deadLetters.js';
+import * as metrics from './metrics.js';
+import { redactStoredMessage } from './redaction.js';
+
+// Retry policy
+const MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS, 10) || 8;
+const BACKOFF_BASE_MS = parseInt(process.env.DELIVERY_BACKOFF_BASE_MS, 10) || 30000; // 30s
+const BACKOFF_MAX_MS = parseInt(process.env.DELIVERY_BACKOFF_MAX_MS, 10) || 3600000; // 1h
+const RETRY_POLL_INTERVAL_MS = parseInt(process.env.RETRY_POLL_INTERVAL_MS, 10) || 5000;
+
+const journal = createJournal('deliveries');
+
+// Deliveries currently being attempted, so the worker never doubles up
+const inFlight = new Set();
+
+// Fan-out copies by provider event (dedup key) and subscriber, so a provider retry of an
+// event the dispatcher did not keep reuses the copy instead of posting it again
+const copyKey = (eventKey, subscriberId) => `${eventKey}|${subscriberId}`;
+const subscriberCopies = new Map(journal.values()
+    .filter(d => d.subscriberId && d.eventKey)
+    .map(d => [copyKey(d.eventKey, d.subscriberId), d.id]));
+
+// Nothing will be sent again for these; a failed one lives on as a dead letter with the full payload
+const SETTLED_STATUSES = new Set(['delivered', 'failed', 'unroutable', 'filtered', 'discarded']);
+
+// The raw event is only kept while it may still be forwarded; settled deliveries keep a redacted copy
+function save(delivery) {
+    return journal.put(SETTLED_STATUSES.has(delivery.status) && !delivery.payloadRedacted
+        ? { ...delivery, ...redactStoredMessage(delivery) }
+        : delivery);
+}
+
+// Exponential backoff with "equal jitter": half the window fixed, half random
+export function computeBackoff(attempt) {
+    const window = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+    return Math.round(window / 2 + Math.random() * (window / 2));
+}
+
+/**
+ * Journal a delivery to a `system` or a fan-out `subscriber`. With neither it
+ * starts in "routing": the event was acknowledged before discovery, and
+ * routeDelivery assigns the target later.
+ */
+// `sourceIp` is kept on asynchronously acknowledged events so the worker can charge discovery misses to the sender;
+// `eventKey` (the dedup key) on subscriber copies, see findSubscriberCopy
+export function createDelivery({ requestId, system, subscriber, routedBy, provider, event, reference, payload, rawBody, headers, sourceIp, eventKey }) {
+    const now = new Date().toISOString();
+
+    const delivery = save({
+        id: uuidv4(),
+        requestId,
+        systemId: system?.id ?? null,
+        subscriberId: subscriber?.id ?? null,
+        routedBy: routedBy ?? null,
+        provider,
+        reference,
+        event,
+        payload,
+        rawBody,
+        headers,
+        sourceIp: sourceIp ?? null,
+        eventKey: eventKey ?? null,
+        status: system || subscriber ? 'pending' : 'routing',
+        attempts: 0,
+        maxAttempts: MAX_ATTEMPTS,
+        nextAttemptAt: now,
+        lastStatus: null,
+        lastError: null,
+        attemptLog: [],
+        createdAt: now,
+        updatedAt: now
+    });
+
+    if (subscriber && eventKey) subscriberCopies.set(copyKey(eventKey, subscriber.id), delivery.id);
+    return delivery;
+}
+
+export function getDelivery(id) {
+    return journal.get(id);
+}
+
+// The copy of a provider event already made for a subscriber, if any
+export function findSubscriberCopy(eventKey, subscriberId) {
+    const id = subscriberCopies.get(copyKey(eventKey, subscriberId));
+    return id ? journal.get(id) : undefined;
+}
+
+export function isInFlight(id) {
+    return inFlight.has(id);
+}
+
+export function inFlightDeliveries() {
+    return [...inFlight];
+}
+
+// Label for logs and metrics: the system id, or "subscriber:<id>" for fan-out copies
+export const deliveryTarget = (delivery) => delivery.subscriberId ? `subscriber:${delivery.subscriberId}` : delivery.systemId;
+
+export function listDeliveries({ status, reference } = {}) {
+    return journal.values()
+        .filter(d => !status || d.status === status)
+        .filter(d => !reference || d.reference === reference);
+}
+
+// Give a "routing" delivery its target system; it is then pending like any other delivery
+export function routeDelivery(delivery, system, routedBy) {
+    return save({
+        ...delivery,
+        systemId: system.id,
+        routedBy,
+        status: 'pending',
+        nextAttemptAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+// No system owns the reference; the event now lives on as the given dead letter
+export function markUnroutable(delivery, deadLetterId) {
+    return save({
+        ...delivery,
+        status: 'unroutable',
+        deadLetterId,
+        nextAttemptAt: null,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+// No system subscribes to the event type; kept as a record that it was received and deliberately dropped
+export function markFiltered(delivery) {
+    return save({
+        ...delivery,
+        status: 'filtered',
+        nextAttemptAt: null,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+// Several systems claimed the reference; held until the review `reviewId` picks one (routeDelivery) or discards it
+export function holdForReview(delivery, reviewId) {
+    return save({
+        ...delivery,
+        status: 'in_review',
+        reviewId,
+        nextAttemptAt: null,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+// Dropped by an operator during review
+export function discardDelivery(delivery) {
+    return save({
+        ...delivery,
+        status: 'discarded',
+        nextAttemptAt: null,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+// Drop what is left of the payload of settled deliveries created before `before`
+export function purgeDeliveryPayloads(before) {
+    const cutoff = new Date(before).getTime();
+    const expired = journal.values().filter(d =>
+        SETTLED_STATUSES.has(d.status) && d.payload != null && new Date(d.createdAt).getTime() < cutoff
+    );
+
+    expired.forEach(d => journal.put({ ...d, payload: null, rawBody: null, headers: null, payloadPurgedAt: new Date().toISOString() }));
+    return expired.length;
+}
+
+// Forget settled deliveries last touched before `before`; failed ones live on as dead letters
+export function pruneDeliveries(before) {
+    const cutoff = new Date(before).getTime();
+    const expired = journal.values().filter(d =>
+        SETTLED_STATUSES.has(d.status) && !inFlight.has(d.id) && new Date(d.updatedAt).getTime() < cutoff
+    );
+
+    expired.forEach(d => {
+        journal.remove(d.id);
+        if (d.subscriberId && d.eventKey) subscriberCopies.delete(copyKey(d.eventKey, d.subscriberId));
+    });
+    return expired.length;
+}
+
+export function getDeliveryStats() {
+    const stats = {
+        total: 0, routing: 0, pending: 0, retrying: 0, delivered: 0, failed: 0,
+        unroutable: 0, filtered: 0, in_review: 0, discarded: 0
+    };
+    for (const delivery of journal.values()) {
+        stats.total++;
+        stats[delivery.status] = (stats[delivery.status] || 0) + 1;
+    }
+    return stats;
+}
+
+function recordAttempt(delivery, result) {
+    const now = new Date();
+    const attempts = delivery.attempts + 1;
+    const updated = {
+        ...delivery,
+        attempts,
+        lastStatus: result.status,
+        lastError: result.success ? null : result.error,
+        attemptLog: [...delivery.attemptLog, {
+            attempt: attempts,
+            at: now.toISOString(),
+            success: result.success,
+            status: result.status,
+            error: result.error,
+            responseTime: result.responseTime
+        }],
+        updatedAt: now.toISOString()
+    };
+
+    if (result.success) {
+        updated.status = 'delivered';
+        updated.nextAttemptAt = null;
+    } else if (attempts >= delivery.maxAttempts) {
+        updated.status = 'failed';
+        updated.nextAttemptAt = null;
+    } else {
+        updated.status = 'retrying';
+        updated.nextAttemptAt = new Date(now.getTime() + computeBackoff(attempts)).toISOString();
+    }
+
+    return save(updated);
+}
+
+// Push a delivery back without spending an attempt (e.g. its system's circuit is open)
+function deferDelivery(delivery, result) {
+    return save({
+        ...delivery,
+        status: 'retrying',
+        lastStatus: result.status,
+        lastError: result.error,
+        nextAttemptAt: result.deferredUntil,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Run one attempt of a delivery through `deliver` and journal the outcome.
+ * `deliver` must resolve to a forwardWebhook-style result and never throw;
+ * a result with `deferredUntil` means nothing was sent and no attempt is counted.
+ */
+export async function attemptDelivery(delivery, deliver) {
+    const target = deliveryTarget(delivery);
+    inFlight.add(delivery.id);
+    metrics.deliveriesInFlight.inc();
+    try {
+        const result = await deliver(delivery);
+
+        if (result.deferredUntil) {
+            const deferred = deferDelivery(delivery, result);
+            logger.info('Delivery deferred without calling the system', {
+                type: 'delivery_deferred',
+                requestId: delivery.requestId,
+                delivery_id: delivery.id,
+                target_system: target,
+                reference: delivery.reference,
+                reason: result.status,
+                next_attempt_at: deferred.nextAttemptAt
+            });
+            return { delivery: deferred, result };
+        }
+
+        const updated = recordAttempt(delivery, result);
+
+        metrics.forwards.inc({ system: target, outcome: result.success ? 'success' : 'failure' });
+        metrics.forwardLatency.observe({ system: target }, (result.responseTime || 0) / 1000);
+
+        if (updated.status === 'retrying') {
+            logger.warn('Delivery attempt failed, retry scheduled', {
+                type: 'delivery_retry_scheduled',
+                requestId: delivery.requestId,
+                delivery_id: delivery.id,
+                target_system: target,
+                reference: delivery.reference,
+                attempt: updated.attempts,
+                max_attempts: updated.maxAttempts,
+                next_attempt_at: updated.nextAttemptAt,
+                error: updated.lastError
+            });
+        } else if (updated.status === 'failed') {
+            logger.error('Delivery exhausted all retry attempts', {
+                type: 'delivery_retries_exhausted',
+                requestId: delivery.requestId,
+                delivery_id: delivery.id,
+                target_system: target,
+                reference: delivery.reference,
+                attempts: updated.attempts,
+                error: updated.lastError
+            });
+
+            addDeadLetter({
+                reason: 'retries_exhausted',
+                requestId: delivery.requestId,
+                systemId: delivery.systemId,
+                subscriberId: delivery.subscriberId,
+                deliveryId: delivery.id,
+                provider: delivery.provider,
+                event: delivery.event,
+                reference: delivery.reference,
+                payload: delivery.payload,
+                rawBody: delivery.rawBody,
+                headers: delivery.headers,
+                lastError: updated.lastError
+            });
+        }
+
+        return { delivery: updated, result };
+    } finally {
+        inFlight.delete(delivery.id);
+        metrics.deliveriesInFlight.dec();
+    }
+}
+
+// ==============================================
+// 🔁 BACKGROUND RETRY WORKER
+// ==============================================
+export function startRetryWorker(deliver) {
+    let running = false;
+    let stopped = false;
+
+    const tick = async () => {
+        if (running || stopped) return;
+        running = true;
+
+        try {
+            const now = Date.now();
+            // Pending deliveries left over from a crash are picked up here too
+            const due = journal.values().filter(d =>
+                (d.status === 'retrying' || d.status === 'pending') &&
+                !inFlight.has(d.id) &&
+                new Date(d.nextAttemptAt).getTime() <= now
+            );
+
+            for (const delivery of due) {
+                // Shutting down - the rest stay journaled and are picked up after the restart
+                if (stopped) break;
+
+                // The dispatch pool may have picked it up since the scan
+                if (inFlight.has(delivery.id) || journal.get(delivery.id)?.updatedAt !== delivery.updatedAt) continue;
+
+                logger.info('Retrying delivery', {
+                    type: 'delivery_retry_attempt',
+                    requestId: delivery.requestId,
+                    delivery_id: delivery.id,
+                    target_system: deliveryTarget(delivery),
+                    reference: delivery.reference,
+                    attempt: delivery.attempts + 1
+                });
+
+                metrics.retries.inc({ system: deliveryTarget(delivery) });
+                const { delivery: updated } = await attemptDelivery(delivery, deliver);
+
+                if (updated.status === 'delivered') {
+                    logger.info('Delivery succeeded on retry', {
+                        type: 'delivery_retry_success',
+                        requestId: delivery.requestId,
+                        delivery_id: delivery.id,
+                        target_system: deliveryTarget(delivery),
+                        reference: delivery.reference,
+                        attempts: updated.attempts
+                    });
+                }
+            }
+        } catch (error) {
+            logger.error('Retry worker error', {
+                type: 'delivery_retry_worker_error',
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, RETRY_POLL_INTERVAL_MS);
+
+    logger.info('Delivery retry worker started', {
+        type: 'delivery_retry_worker_start',
+        poll_interval_ms: RETRY_POLL_INTERVAL_MS,
+        max_attempts: MAX_ATTEMPTS,
+        backoff_base_ms: BACKOFF_BASE_MS,
+        backoff_max_ms: BACKOFF_MAX_MS
+    });
+
+    // Stops scheduling attempts; one already under way finishes on its own
+    return () => {
+        stopped = true;
+        clearInterval(timer);
+    };
+}
@@ -0,0 +1,65 @@
+import { systemPriority } from './systems.js';
+
+// How long systems sharing a priority get to also claim a reference after the first claim
+const AMBIGUITY_WINDOW_MS = parseInt(process.env.DISCOVERY_AMBIGUITY_WINDOW_MS, 10) || 250;
+
+/**
+ * Ask every candidate at once and settle as soon as the answer is known, aborting the rest:
+ * - a claim wins once every higher-priority system has said no (lower `priority` is higher);
+ * - systems sharing the winner's priority get `ambiguityWindowMs` after its claim to claim
+ *   too, in which case the reference is ambiguous and every claimant is returned.
+ * `candidates` must be in priority order; `probe(system, signal)` resolves true for a claim
+ * and must never reject. Resolves with `{ claimants, unanswered }`, the ids of the systems
+ * whose probe was still running when discovery settled.
+ */
+export function collectClaims(candidates, probe, { ambiguityWindowMs = AMBIGUITY_WINDOW_MS } = {}) {
+    const pending = new Set(candidates.map(s => s.id));
+    const claimedAt = new Map();
+    const controller = new AbortController();
+
+    return new Promise(resolve => {
+        let settled = false;
+        let windowTimer = null;
+
+        const settle = (claimants) => {
+            settled = true;
+            clearTimeout(windowTimer);
+            controller.abort();
+            resolve({ claimants, unanswered: [...pending] });
+        };
+
+        const evaluate = () => {
+            const claimed = candidates.filter(s => claimedAt.has(s.id));
+
+            if (claimed.length === 0) {
+                if (pending.size === 0) settle([]);
+                return;
+            }
+
+            // Candidates are in priority order, so the first claim belongs to the best tier that claimed
+            const priority = systemPriority(claimed[0]);
+            const waitingOn = candidates.filter(s => pending.has(s.id) && systemPriority(s) <= priority);
+            if (waitingOn.some(s => systemPriority(s) < priority)) return;
+
+            const tier = claimed.filter(s => systemPriority(s) === priority);
+            const windowLeft = Math.min(...tier.map(s => claimedAt.get(s.id))) + ambiguityWindowMs - Date.now();
+            if (waitingOn.length > 0 && windowLeft > 0) {
+                clearTimeout(windowTimer);
+                windowTimer = setTimeout(evaluate, windowLeft);
+                return;
+            }
+
+            settle(tier);
+        };
+
+        candidates.forEach(system => {
+            probe(system, controller.signal).then(found => {
+                if (settled) return;
+                pending.delete(system.id);
+                if (found) claimedAt.set(system.id, Date.now());
+                evaluate();
+            });
+        });
+        evaluate();
+    });
+}
@@ -0,0 +1,94 @@
+import logger from '../logger.js';
+import * as metrics from './metrics.js';
+import { matchesEventPattern } from './eventPatterns.js';
+
+const CONCURRENCY = parseInt(process.env.DISPATCH_CONCURRENCY, 10) || 4;
+
+// Acknowledgement mode: "sync" answers the provider after forwarding, "async" as soon as the event is journaled
+const DEFAULT_ACK_MODE = process.env.ACK_MODE === 'async' ? 'async' : 'sync';
+
+/**
+ * Per-event overrides from ACK_MODE_EVENTS, e.g. "charge.success=async,transfer.*=sync".
+ * Exact event names win over wildcards; a trailing ".*" matches a whole event family.
+ */
+const ACK_MODE_EVENTS = (process.env.ACK_MODE_EVENTS || '')
+    .split(',')
+    .map(entry => entry.trim().split('=').map(part => part.trim()))
+    .filter(([event, mode]) => event && ['sync', 'async'].includes(mode))
+    .sort(([a], [b]) => Number(a.includes('*')) - Number(b.includes('*')));
+
+// Delivery ids waiting for a worker, oldest first
+const queue = [];
+let active = 0;
+let handler = null;
+
+export function ackModeFor(event) {
+    const override = ACK_MODE_EVENTS.find(([pattern]) => matchesEventPattern(pattern, event));
+
+    return override ? override[1] : DEFAULT_ACK_MODE;
+}
+
+function drain() {
+    while (handler && active < CONCURRENCY && queue.length > 0) {
+        const deliveryId = queue.shift();
+        active++;
+
+        handler(deliveryId)
+            .catch(error => {
+                logger.error('Background dispatch failed', {
+                    type: 'dispatch_worker_error',
+                    delivery_id: deliveryId,
+                    error: error.message,
+                    stack: error.stack
+                });
+            })
+            .finally(() => {
+                active--;
+                drain();
+            });
+    }
+    metrics.dispatchQueueDepth.set(queue.length);
+}
+
+// Queue a journaled delivery for routing and forwarding; runs once a worker slot frees up
+export function enqueueDispatch(deliveryId) {
+    queue.push(deliveryId);
+    drain();
+}
+
+export function activeDispatches() {
+    return active;
+}
+
+export function getDispatchQueueStats() {
+    return {
+        concurrency: CONCURRENCY,
+        active,
+        queued: queue.length,
+        defaultAckMode: DEFAULT_ACK_MODE,
+        eventOverrides: Object.fromEntries(ACK_MODE_EVENTS)
+    };
+}
+
+/**
+ * Start the worker pool. `dispatch(deliveryId)` does the routing and the first
+ * attempt; `leftover` are ids accepted before a restart that never got routed.
+ */
+export function startDispatchQueue(dispatch, leftover = []) {
+    handler = dispatch;
+    queue.unshift(...leftover);
+    drain();
+
+    logger.info('Dispatch worker pool started', {
+        type: 'dispatch_queue_start',
+        concurrency: CONCURRENCY,
+        default_ack_mode: DEFAULT_ACK_MODE,
+        event_overrides: Object.fromEntries(ACK_MODE_EVENTS),
+        resumed: leftover.length
+    });
+
+    // Stop starting jobs; queued ids are journaled as "routing"/"pending" and resume after a restart
+    return () => {
+        handler = null;
+    };
+}
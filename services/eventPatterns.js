@@ -0,0 +1,15 @@
+/**
+ * Event-type patterns shared by system subscriptions, fan-out subscribers,
+ * routing rules and ack-mode overrides:
+ *   "charge.success"  - exactly that event
+ *   "charge.*"        - every event in the family
+ *   "*"               - every event
+ */
+export function matchesEventPattern(pattern, event) {
+    if (pattern === '*') return true;
+    return pattern.endsWith('.*') ? Boolean(event?.startsWith(pattern.slice(0, -1))) : pattern === event;
+}
+
+export function isEventPatternList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+}
@@ -0,0 +1,141 @@
+import axios from 'axios';
+import logger from '../logger.js';
+import * as metrics from './metrics.js';
+import { listSystems } from './systems.js';
+import { canRequest, recordSuccess, recordFailure, getBreakerState } from './circuitBreakers.js';
+
+const PROBE_INTERVAL_MS = parseInt(process.env.HEALTH_CHECK_INTERVAL_MS, 10) || 30000;
+const PROBE_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 5000;
+const HISTORY_SIZE = parseInt(process.env.HEALTH_HISTORY_SIZE, 10) || 2880; // 24h at 30s
+
+// Rolling probe history per system id, oldest first
+const history = new Map();
+let lastRoundAt = null;
+
+async function probeSystem(system) {
+    const probeStart = Date.now();
+    const sample = { at: new Date().toISOString() };
+
+    if (!canRequest(system)) {
+        return { ...sample, status: 'unhealthy', error: 'Circuit breaker open', responseTime: null };
+    }
+
+    try {
+        await axios.get(`${system.baseUrl}${system.healthCheck}`, { timeout: PROBE_TIMEOUT_MS });
+        recordSuccess(system);
+        return { ...sample, status: 'healthy', responseTime: Date.now() - probeStart };
+    } catch (error) {
+        recordFailure(system, 'health_check_failed');
+        return { ...sample, status: 'unhealthy', error: error.message, responseTime: Date.now() - probeStart };
+    }
+}
+
+function recordSample(system, sample) {
+    const samples = history.get(system.id) || [];
+    const previous = samples[samples.length - 1];
+
+    samples.push(sample);
+    if (samples.length > HISTORY_SIZE) samples.shift();
+    history.set(system.id, samples);
+
+    metrics.systemUp.set({ system: system.id }, sample.status === 'healthy' ? 1 : 0);
+
+    if (previous && previous.status !== sample.status) {
+        const log = sample.status === 'healthy' ? logger.info : logger.warn;
+        log.call(logger, `System is now ${sample.status}`, {
+            type: 'system_status_changed',
+            system_id: system.id,
+            system_name: system.name,
+            from: previous.status,
+            to: sample.status,
+            error: sample.error,
+            response_time_ms: sample.responseTime
+        });
+    }
+}
+
+export async function runHealthChecks() {
+    const systems = listSystems();
+    const samples = await Promise.all(systems.map(probeSystem));
+    systems.forEach((system, index) => recordSample(system, samples[index]));
+
+    // Drop history of systems removed from the registry
+    for (const systemId of history.keys()) {
+        if (!systems.some(s => s.id === systemId)) {
+            history.delete(systemId);
+            metrics.systemUp.remove({ system: systemId });
+        }
+    }
+
+    lastRoundAt = new Date().toISOString();
+}
+
+// Share of healthy samples taken since `sinceMs` ago, as a percentage (null when no samples)
+function uptimePercent(samples, sinceMs) {
+    const cutoff = Date.now() - sinceMs;
+    const recent = samples.filter(s => new Date(s.at).getTime() >= cutoff);
+    if (recent.length === 0) return null;
+
+    const healthy = recent.filter(s => s.status === 'healthy').length;
+    return Math.round((healthy / recent.length) * 10000) / 100;
+}
+
+// Latest known status of every registered system
+export function getHealthSnapshot() {
+    return {
+        lastRoundAt,
+        probeIntervalMs: PROBE_INTERVAL_MS,
+        systems: listSystems().map(system => {
+            const samples = history.get(system.id) || [];
+            const latest = samples[samples.length - 1];
+
+            return {
+                id: system.id,
+                name: system.name,
+                status: latest?.status || 'unknown',
+                error: latest?.error,
+                responseTime: latest?.responseTime ?? null,
+                enabled: system.enabled,
+                breaker: getBreakerState(system),
+                lastChecked: latest?.at || null
+            };
+        })
+    };
+}
+
+export function getHealthHistory(systemId, { since, limit = 500 } = {}) {
+    const samples = history.get(systemId) || [];
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const filtered = sinceTime === null ? samples : samples.filter(s => new Date(s.at).getTime() >= sinceTime);
+
+    return {
+        uptime: {
+            last_1h: uptimePercent(samples, 3600000),
+            last_24h: uptimePercent(samples, 86400000),
+            window: uptimePercent(samples, Infinity)
+        },
+        totalSamples: samples.length,
+        samples: filtered.slice(-limit)
+    };
+}
+
+export function startHealthMonitor() {
+    const tick = () => runHealthChecks().catch(error => {
+        logger.error('Health monitor round failed', {
+            type: 'health_monitor_error',
+            error: error.message,
+            stack: error.stack
+        });
+    });
+
+    tick();
+    const timer = setInterval(tick, PROBE_INTERVAL_MS);
+
+    logger.info('Health monitor started', {
+        type: 'health_monitor_start',
+        probe_interval_ms: PROBE_INTERVAL_MS,
+        history_size: HISTORY_SIZE
+    });
+
+    return () => clearInterval(timer);
+}
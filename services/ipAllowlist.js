@@ -0,0 +1,51 @@
+import net from 'net';
+import { listProviders } from '../providers/index.js';
+
+/**
+ * Source-IP allowlists for the public webhook endpoint, as comma-separated IPs and CIDRs:
+ * <PROVIDER>_IP_ALLOWLIST (e.g. PAYSTACK_IP_ALLOWLIST) per provider, falling back to
+ * WEBHOOK_IP_ALLOWLIST. Unset means any address is accepted. Addresses are matched against
+ * req.ip, so TRUST_PROXY has to be right when running behind a load balancer.
+ */
+function parseAllowlist(envName) {
+    const entries = (process.env[envName] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length === 0) return null;
+
+    const blockList = new net.BlockList();
+    entries.forEach(entry => {
+        const [address, prefix, ...rest] = entry.split('/');
+        const family = net.isIP(address);
+        const bits = prefix === undefined ? (family === 6 ? 128 : 32) : Number(prefix);
+
+        if (!family || rest.length > 0 || !Number.isInteger(bits) || bits < 0 || bits > (family === 6 ? 128 : 32)) {
+            throw new Error(`${envName}: "${entry}" is not an IP address or CIDR range`);
+        }
+        blockList.addSubnet(address, bits, family === 6 ? 'ipv6' : 'ipv4');
+    });
+
+    return { envName, entries, blockList };
+}
+
+const defaultAllowlist = parseAllowlist('WEBHOOK_IP_ALLOWLIST');
+
+const allowlists = new Map(listProviders().map(({ id }) => [
+    id,
+    parseAllowlist(`${id.toUpperCase()}_IP_ALLOWLIST`) || defaultAllowlist
+]));
+
+// Dual-stack sockets report IPv4 clients as ::ffff:a.b.c.d
+const normalizeIp = (ip) => (ip?.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip);
+
+export function isAllowedSource(providerId, ip) {
+    const allowlist = allowlists.has(providerId) ? allowlists.get(providerId) : defaultAllowlist;
+    if (!allowlist) return true;
+
+    const address = normalizeIp(ip);
+    const family = net.isIP(address);
+    return Boolean(family) && allowlist.blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Configured ranges per provider (null = open), for the startup log and /admin/metrics
+export function describeAllowlists() {
+    return Object.fromEntries([...allowlists].map(([id, allowlist]) => [id, allowlist?.entries || null]));
+}
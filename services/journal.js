@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Create data directory
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+}
+
+/**
+ * Append-only JSONL journal keyed by record id.
+ *
+ * Every write appends the full record as one line, deletes append a
+ * tombstone, and on load the last line for each id wins. The file is
+ * rewritten (compacted) on load and whenever stale lines outnumber live ones.
+ */
+export function createJournal(name, { compactAfter = 1000 } = {}) {
+    const filePath = path.join(dataDir, `${name}.jsonl`);
+    const records = new Map();
+    let linesOnDisk = 0;
+    const existed = fs.existsSync(filePath);
+
+    const compact = () => {
+        const tmpPath = `${filePath}.tmp`;
+        const lines = [...records.values()].map(record => JSON.stringify(record) + '\n');
+        fs.writeFileSync(tmpPath, lines.join(''));
+        fs.renameSync(tmpPath, filePath);
+        linesOnDisk = records.size;
+    };
+
+    const append = (entry) => {
+        fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+        linesOnDisk++;
+
+        if (linesOnDisk > compactAfter && linesOnDisk > records.size * 2) {
+            compact();
+        }
+    };
+
+    if (existed) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        let skipped = 0;
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (entry._deleted) {
+                    records.delete(entry.id);
+                } else {
+                    records.set(entry.id, entry);
+                }
+            } catch (error) {
+                // A crash mid-append can leave a truncated last line
+                skipped++;
+            }
+        }
+
+        if (skipped > 0) {
+            logger.warn('Skipped unreadable journal lines', {
+                type: 'journal_corrupt_lines',
+                journal: name,
+                skipped
+            });
+        }
+
+        compact();
+    }
+
+    return {
+        get: (id) => records.get(id),
+        has: (id) => records.has(id),
+        values: () => [...records.values()],
+        size: () => records.size,
+
+        // False on the very first run, before this journal had a file
+        existed,
+
+        put(record) {
+            records.set(record.id, record);
+            append(record);
+            return record;
+        },
+
+        remove(id) {
+            if (!records.has(id)) return false;
+            records.delete(id);
+            append({ id, _deleted: true });
+            return true;
+        },
+
+        compact
+    };
+}
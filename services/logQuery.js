@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+import { logsDir } from '../logger.js';
+
+// winston names rotated files webhooks1.log, webhooks2.log, ... next to webhooks.log
+const WEBHOOK_LOG_PATTERN = /^webhooks\d*\.log$/;
+
+// winston npm levels, most severe first
+const LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+// Log fields that name the system an entry is about
+const SYSTEM_FIELDS = ['target_system', 'system_id', 'found_system'];
+
+// Webhook log files, newest first
+async function listLogFiles() {
+    const names = (await fs.promises.readdir(logsDir)).filter(name => WEBHOOK_LOG_PATTERN.test(name));
+    const files = await Promise.all(names.map(async name => ({
+        name,
+        mtimeMs: (await fs.promises.stat(path.join(logsDir, name))).mtimeMs
+    })));
+    return files.sort((a, b) => b.mtimeMs - a.mtimeMs).map(file => file.name);
+}
+
+export function isLevel(level) {
+    return LEVELS.includes(level);
+}
+
+// Cursors are opaque to clients: the file and line of the last entry returned
+export function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+    try {
+        const { file, line } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return WEBHOOK_LOG_PATTERN.test(file) && Number.isInteger(line) ? { file, line } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function entryMatches(entry, { requestId, reference, type, systemId, level, fromTime, toTime }) {
+    if (requestId && entry.requestId !== requestId) return false;
+    if (reference && entry.reference !== reference) return false;
+    if (type && entry.type !== type) return false;
+    if (systemId && !SYSTEM_FIELDS.some(field => entry[field] === systemId)) return false;
+    // `level` is a floor: "warn" returns warnings and errors
+    if (level && LEVELS.indexOf(entry.level) > LEVELS.indexOf(level)) return false;
+
+    if (fromTime !== null || toTime !== null) {
+        const at = new Date(entry.timestamp).getTime();
+        if (fromTime !== null && !(at >= fromTime)) return false;
+        if (toTime !== null && !(at <= toTime)) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Matching webhook log entries, newest first, across webhooks.log and its rotations.
+ * Yields `{ entry, position }`; pass a position back as `after` to resume below it.
+ * Files are read one at a time, so memory stays bounded by the rotation size.
+ */
+export async function* readWebhookLogs(filters = {}, { after = null } = {}) {
+    const criteria = {
+        ...filters,
+        fromTime: filters.from ? new Date(filters.from).getTime() : null,
+        toTime: filters.to ? new Date(filters.to).getTime() : null
+    };
+
+    const files = await listLogFiles();
+    const startIndex = after ? files.indexOf(after.file) : 0;
+    if (startIndex === -1) return; // the cursor's file has since been rotated away
+
+    for (const file of files.slice(startIndex)) {
+        let content;
+        try {
+            content = await fs.promises.readFile(path.join(logsDir, file), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') continue; // removed by rotation while we were reading
+            throw error;
+        }
+
+        const lines = content.split('\n');
+        const fromLine = after?.file === file ? after.line - 1 : lines.length - 1;
+
+        for (let line = fromLine; line >= 0; line--) {
+            if (!lines[line]) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(lines[line]);
+            } catch (error) {
+                continue; // partially written line
+            }
+
+            if (entryMatches(entry, criteria)) {
+                yield { entry, position: { file, line } };
+            }
+        }
+    }
+}
+
+/**
+ * Every log entry about a reference, newest first: entries naming it plus all
+ * other entries of the same requests (signature checks, discovery answers).
+ * Needs two passes, since a request's entries may be logged before or after
+ * the first one that names the reference.
+ */
+export async function* readReferenceLogs(reference) {
+    const requestIds = new Set();
+
+    for await (const { entry } of readWebhookLogs({ reference, level: 'silly' })) {
+        if (entry.requestId) requestIds.add(entry.requestId);
+    }
+
+    for await (const { entry } of readWebhookLogs({ level: 'silly' })) {
+        if (entry.reference === reference || requestIds.has(entry.requestId)) {
+            yield entry;
+        }
+    }
+}
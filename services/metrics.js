@@ -0,0 +1,137 @@
+import client from 'prom-client';
+
+// Prometheus registry served at /metrics
+export const registry = new client.Registry();
+registry.setDefaultLabels({ service: 'webhook-dispatcher' });
+client.collectDefaultMetrics({ register: registry, prefix: 'dispatcher_' });
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// ==============================================
+// 🔢 COUNTERS
+// ==============================================
+export const webhooksReceived = new client.Counter({
+    name: 'dispatcher_webhooks_received_total',
+    help: 'Webhooks received from payment providers',
+    labelNames: ['provider'],
+    registers: [registry]
+});
+
+export const signatureFailures = new client.Counter({
+    name: 'dispatcher_signature_failures_total',
+    help: 'Webhooks rejected because of a missing or invalid signature',
+    labelNames: ['provider', 'reason'],
+    registers: [registry]
+});
+
+export const webhooksRejected = new client.Counter({
+    name: 'dispatcher_webhooks_rejected_total',
+    help: 'Webhooks turned away by the source-IP allowlist or a rate limit',
+    labelNames: ['provider', 'reason'],
+    registers: [registry]
+});
+
+export const referencesNotFound = new client.Counter({
+    name: 'dispatcher_references_not_found_total',
+    help: 'Webhooks whose reference no system recognised',
+    labelNames: ['provider'],
+    registers: [registry]
+});
+
+export const referencesAmbiguous = new client.Counter({
+    name: 'dispatcher_references_ambiguous_total',
+    help: 'Webhooks whose reference more than one system claimed, sent for review',
+    labelNames: ['provider'],
+    registers: [registry]
+});
+
+export const eventsFiltered = new client.Counter({
+    name: 'dispatcher_events_filtered_total',
+    help: 'Webhooks acknowledged without forwarding because no system subscribes to their event type',
+    labelNames: ['provider'],
+    registers: [registry]
+});
+
+export const forwards = new client.Counter({
+    name: 'dispatcher_forwards_total',
+    help: 'Forward attempts to ticketing systems by outcome',
+    labelNames: ['system', 'outcome'],
+    registers: [registry]
+});
+
+export const retries = new client.Counter({
+    name: 'dispatcher_delivery_retries_total',
+    help: 'Delivery attempts made by the retry worker',
+    labelNames: ['system'],
+    registers: [registry]
+});
+
+export const alertNotifications = new client.Counter({
+    name: 'dispatcher_alert_notifications_total',
+    help: 'Alert notifications by channel and outcome (sent, failed, throttled)',
+    labelNames: ['channel', 'outcome'],
+    registers: [registry]
+});
+
+// ==============================================
+// ⏱️ HISTOGRAMS
+// ==============================================
+export const discoveryLatency = new client.Histogram({
+    name: 'dispatcher_discovery_latency_seconds',
+    help: 'Time for a system to answer a reference verify call',
+    labelNames: ['system', 'outcome'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+export const forwardLatency = new client.Histogram({
+    name: 'dispatcher_forward_latency_seconds',
+    help: 'Time to forward a webhook to a ticketing system',
+    labelNames: ['system'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+export const processingTime = new client.Histogram({
+    name: 'dispatcher_webhook_processing_seconds',
+    help: 'End-to-end time from receiving a webhook to answering the provider',
+    labelNames: ['provider', 'status_code'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+// ==============================================
+// 📏 GAUGES
+// ==============================================
+export const deliveriesInFlight = new client.Gauge({
+    name: 'dispatcher_deliveries_in_flight',
+    help: 'Deliveries currently being attempted',
+    registers: [registry]
+});
+
+export const dispatchQueueDepth = new client.Gauge({
+    name: 'dispatcher_dispatch_queue_depth',
+    help: 'Asynchronously acknowledged webhooks waiting for a dispatch worker',
+    registers: [registry]
+});
+
+export const systemUp = new client.Gauge({
+    name: 'dispatcher_system_up',
+    help: 'Whether the last health check of a system succeeded (1) or failed (0)',
+    labelNames: ['system'],
+    registers: [registry]
+});
+
+export const circuitOpen = new client.Gauge({
+    name: 'dispatcher_circuit_open',
+    help: 'Whether a system circuit breaker is open or half-open (1) or closed (0)',
+    labelNames: ['system'],
+    registers: [registry]
+});
+
+export const alertsFiring = new client.Gauge({
+    name: 'dispatcher_alerts_firing',
+    help: 'Alerts currently firing per alert rule',
+    labelNames: ['rule'],
+    registers: [registry]
+});
@@ -0,0 +1,85 @@
+// Token-bucket limits for the public webhook endpoint; rates are per minute, bursts are bucket sizes
+const LIMITS = {
+    ip: {
+        perMinute: parseInt(process.env.WEBHOOK_RATE_LIMIT_PER_IP, 10) || 600,
+        burst: parseInt(process.env.WEBHOOK_RATE_BURST_PER_IP, 10) || 100
+    },
+    global: {
+        perMinute: parseInt(process.env.WEBHOOK_RATE_LIMIT_GLOBAL, 10) || 6000,
+        burst: parseInt(process.env.WEBHOOK_RATE_BURST_GLOBAL, 10) || 1000
+    },
+    // Stricter: each reference no system recognises costs every system a verify call
+    discoveryMiss: {
+        perMinute: parseInt(process.env.DISCOVERY_MISS_LIMIT_PER_IP, 10) || 30,
+        burst: parseInt(process.env.DISCOVERY_MISS_BURST_PER_IP, 10) || 20
+    }
+};
+const SWEEP_INTERVAL_MS = 60000;
+
+// Buckets by limit name, then by key (client IP, or "*" for the global one)
+const buckets = { ip: new Map(), global: new Map(), discoveryMiss: new Map() };
+
+// Current bucket for `key`, refilled for the time since it was last touched
+function refill(name, key) {
+    const { perMinute, burst } = LIMITS[name];
+    const now = Date.now();
+    const bucket = buckets[name].get(key) || { tokens: burst, refilledAt: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.refilledAt) * perMinute) / 60000);
+    bucket.refilledAt = now;
+    buckets[name].set(key, bucket);
+    return bucket;
+}
+
+const retryAfterMs = (name, bucket) => Math.ceil(((1 - bucket.tokens) * 60000) / LIMITS[name].perMinute);
+
+/**
+ * Spend one token from both the client's bucket and the global one. When either is
+ * empty nothing is spent and `limit` names the one that refused.
+ */
+export function takeWebhookToken(ip) {
+    const perIp = refill('ip', ip);
+    const global = refill('global', '*');
+
+    if (perIp.tokens < 1) return { allowed: false, limit: 'ip', retryAfterMs: retryAfterMs('ip', perIp) };
+    if (global.tokens < 1) return { allowed: false, limit: 'global', retryAfterMs: retryAfterMs('global', global) };
+
+    perIp.tokens -= 1;
+    global.tokens -= 1;
+    return { allowed: true };
+}
+
+// Whether the client may still trigger discovery; misses are charged afterwards with recordDiscoveryMiss
+export function checkDiscoveryBudget(ip) {
+    const bucket = refill('discoveryMiss', ip);
+
+    return bucket.tokens >= 1
+        ? { allowed: true }
+        : { allowed: false, limit: 'discovery_miss', retryAfterMs: retryAfterMs('discoveryMiss', bucket) };
+}
+
+export function recordDiscoveryMiss(ip) {
+    const bucket = refill('discoveryMiss', ip);
+    bucket.tokens = Math.max(0, bucket.tokens - 1);
+}
+
+export function getRateLimitStats() {
+    return Object.fromEntries(Object.entries(LIMITS).map(([name, limit]) => [name, {
+        ...limit,
+        trackedKeys: buckets[name].size,
+        exhaustedKeys: [...buckets[name].keys()].filter(key => refill(name, key).tokens < 1).length
+    }]));
+}
+
+// Full buckets hold no state worth keeping
+export function startRateLimitSweeper() {
+    const timer = setInterval(() => {
+        Object.keys(buckets).forEach(name => {
+            for (const key of buckets[name].keys()) {
+                if (refill(name, key).tokens >= LIMITS[name].burst) buckets[name].delete(key);
+            }
+        });
+    }, SWEEP_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+}
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+
+/**
+ * Field-level redaction for log entries and stored payloads. A rule maps a field path
+ * to an action:
+ *   mask   - emails keep their first letter and domain, phone numbers their last 3 digits,
+ *            anything else becomes "[redacted]"
+ *   hash   - keyed SHA-256 (REDACTION_HASH_KEY), so the same email still correlates across entries
+ *   remove - drop the field
+ *   keep   - leave it alone (to exempt a field from a broader rule)
+ * A path matches the end of a field's full path, so "authorization.bin" covers
+ * "data.authorization.bin" wherever it appears; "*" inside a segment is a wildcard
+ * and array indices are skipped. When several rules match, the longest path wins.
+ * REDACTION_RULES (a JSON object of path -> action) is merged over the defaults below.
+ */
+const DEFAULT_RULES = {
+    'email': 'hash',
+    'customer_email': 'hash',
+    'phone': 'mask',
+    'phone_number': 'mask',
+    'customer_phone': 'mask',
+    'mobile': 'mask',
+    'CustomerPhoneNumber': 'mask',
+    'account_number': 'mask',
+    'authorization.authorization_code': 'mask',
+    'authorization.bin': 'mask',
+    'authorization.last4': 'mask',
+    '*signature': 'mask',
+    'verif-hash': 'mask',
+    // webhook_received only notes whether a signature header was present
+    'headers.signature': 'keep'
+};
+
+const ACTIONS = ['mask', 'hash', 'remove', 'keep'];
+const HASH_KEY = process.env.REDACTION_HASH_KEY || '';
+const EMAIL_PATTERN = /^([^@\s])[^@\s]*@([^@\s]+)$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,20}$/;
+
+function compileSegment(segment) {
+    if (!segment.includes('*')) return segment;
+    const pattern = segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`, 'i');
+}
+
+function loadRules() {
+    let custom = {};
+    if (process.env.REDACTION_RULES) {
+        try {
+            custom = JSON.parse(process.env.REDACTION_RULES);
+        } catch (error) {
+            throw new Error(`REDACTION_RULES is not valid JSON: ${error.message}`);
+        }
+    }
+
+    return Object.entries({ ...DEFAULT_RULES, ...custom }).map(([path, action]) => {
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`REDACTION_RULES: "${path}" has action "${action}"; use one of ${ACTIONS.join(', ')}`);
+        }
+        return { path, action, segments: path.split('.').map(compileSegment) };
+    }).sort((a, b) => b.segments.length - a.segments.length);
+}
+
+const RULES = loadRules();
+
+export const hasHashKey = HASH_KEY !== '';
+
+const segmentMatches = (segment, key) => (typeof segment === 'string' ? segment === key : segment.test(key));
+
+function actionFor(path) {
+    const rule = RULES.find(({ segments }) =>
+        segments.length <= path.length &&
+        segments.every((segment, i) => segmentMatches(segment, path[path.length - segments.length + i]))
+    );
+    return rule?.action;
+}
+
+export function hashValue(value) {
+    const text = String(value).trim();
+    const normalized = EMAIL_PATTERN.test(text) ? text.toLowerCase() : text;
+    const digest = HASH_KEY
+        ? crypto.createHmac('sha256', HASH_KEY).update(normalized).digest('hex')
+        : crypto.createHash('sha256').update(normalized).digest('hex');
+    return `hash:${digest.slice(0, 16)}`;
+}
+
+export function maskValue(value) {
+    if (typeof value === 'string') {
+        const email = value.match(EMAIL_PATTERN);
+        if (email) return `${email[1]}***@${email[2]}`;
+        if (PHONE_PATTERN.test(value)) {
+            const digits = value.replace(/\D/g, '');
+            return `${'*'.repeat(Math.max(0, digits.length - 3))}${digits.slice(-3)}`;
+        }
+    }
+    return '[redacted]';
+}
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+function redactNode(value, path) {
+    if (Array.isArray(value)) {
+        return value.map(item => redactNode(item, path));
+    }
+    if (!isPlainObject(value)) return value;
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+        const childPath = [...path, key];
+        const action = child == null ? undefined : actionFor(childPath);
+
+        if (action === 'remove') continue;
+        if (action === 'keep') result[key] = child;
+        else if (action === 'hash') result[key] = isPlainObject(child) || Array.isArray(child) ? '[redacted]' : hashValue(child);
+        else if (action === 'mask') result[key] = maskValue(child);
+        else result[key] = redactNode(child, childPath);
+    }
+    return result;
+}
+
+// A redacted copy of `value`; the original is never modified
+export function redact(value) {
+    return redactNode(value, []);
+}
+
+/**
+ * What a settled delivery keeps of its event: the payload and headers under the
+ * redaction rules, and no raw body (it would defeat them).
+ */
+export function redactStoredMessage({ payload, headers }) {
+    return {
+        payload: payload == null ? payload : redact(payload),
+        rawBody: null,
+        headers: headers == null ? headers : redact(headers),
+        payloadRedacted: true
+    };
+}
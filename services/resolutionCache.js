@@ -0,0 +1,99 @@
+import { createJournal } from './journal.js';
+
+const TTL_MS = (parseFloat(process.env.RESOLUTION_CACHE_TTL_HOURS) || 24) * 3600000;
+const NEGATIVE_TTL_MS = (parseFloat(process.env.RESOLUTION_CACHE_NEGATIVE_TTL_SEC) || 60) * 1000;
+const SWEEP_INTERVAL_MS = 5 * 60000;
+
+const journal = createJournal('resolution-cache');
+
+// Lookup counters since this process started
+const stats = { hits: 0, negative_hits: 0, misses: 0 };
+
+const isExpired = (entry) => new Date(entry.expiresAt).getTime() <= Date.now();
+
+/**
+ * Look up which system owns `reference`. Returns the live entry, or null on a
+ * miss. Positive entries have `systemId`; negative entries have `negative: true`.
+ */
+export function lookup(reference) {
+    const entry = journal.get(reference);
+
+    if (!entry || isExpired(entry)) {
+        if (entry) journal.remove(reference);
+        stats.misses++;
+        return null;
+    }
+
+    if (entry.negative) {
+        stats.negative_hits++;
+    } else {
+        stats.hits++;
+    }
+    return entry;
+}
+
+export function remember(reference, systemId) {
+    const now = Date.now();
+    return journal.put({
+        id: reference,
+        systemId,
+        negative: false,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + TTL_MS).toISOString()
+    });
+}
+
+// Short-lived entry for a reference no system recognised
+export function rememberNotFound(reference) {
+    const now = Date.now();
+    return journal.put({
+        id: reference,
+        systemId: null,
+        negative: true,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + NEGATIVE_TTL_MS).toISOString()
+    });
+}
+
+export function listEntries({ reference, systemId, negative } = {}) {
+    return journal.values()
+        .filter(entry => !isExpired(entry))
+        .filter(entry => !reference || entry.id === reference)
+        .filter(entry => !systemId || entry.systemId === systemId)
+        .filter(entry => negative === undefined || entry.negative === negative);
+}
+
+export function forget(reference) {
+    return journal.remove(reference);
+}
+
+// Purge entries matching the filters (all entries when none given); returns the count
+export function purge(filters = {}) {
+    const entries = listEntries(filters);
+    entries.forEach(entry => journal.remove(entry.id));
+    return entries.length;
+}
+
+export function getCacheStats() {
+    return {
+        entries: listEntries().length,
+        ttl_hours: TTL_MS / 3600000,
+        negative_ttl_sec: NEGATIVE_TTL_MS / 1000,
+        ...stats
+    };
+}
+
+export function startResolutionCacheSweeper() {
+    const sweep = () => {
+        journal.values().filter(isExpired).forEach(entry => journal.remove(entry.id));
+    };
+
+    sweep();
+    const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    return () => clearInterval(timer);
+}
+
+// Drop a system's positive entries, and every negative one, since ownership may have moved
+export function invalidateSystem(systemId) {
+    return purge({ systemId }) + purge({ negative: true });
+}
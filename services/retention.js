@@ -0,0 +1,52 @@
+import logger from '../logger.js';
+import { purgeDeliveryPayloads, pruneDeliveries } from './deliveries.js';
+import { purgeDeadLetterPayloads } from './deadLetters.js';
+
+// Event payloads (customer data included) are dropped once older than this; the records themselves stay
+const PAYLOAD_RETENTION_DAYS = parseInt(process.env.PAYLOAD_RETENTION_DAYS, 10) || 30;
+// Settled delivery records (status, attempts, redacted copy) are deleted once untouched for this long
+const DELIVERY_RETENTION_DAYS = Math.max(parseInt(process.env.DELIVERY_RETENTION_DAYS, 10) || 90, PAYLOAD_RETENTION_DAYS);
+const SWEEP_INTERVAL_MS = 3600000; // hourly
+
+export function getRetentionPolicy() {
+    return { payloadRetentionDays: PAYLOAD_RETENTION_DAYS, deliveryRetentionDays: DELIVERY_RETENTION_DAYS };
+}
+
+export function startPayloadRetentionSweeper() {
+    const sweep = () => {
+        const before = new Date(Date.now() - PAYLOAD_RETENTION_DAYS * 86400000).toISOString();
+        const deliveries = purgeDeliveryPayloads(before);
+        const deadLetters = purgeDeadLetterPayloads(before);
+
+        if (deliveries + deadLetters > 0) {
+            logger.info('Expired event payloads purged', {
+                type: 'payload_retention_sweep',
+                created_before: before,
+                deliveries,
+                dead_letters: deadLetters
+            });
+        }
+
+        const settledBefore = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 86400000).toISOString();
+        const pruned = pruneDeliveries(settledBefore);
+
+        if (pruned > 0) {
+            logger.info('Expired delivery records deleted', {
+                type: 'delivery_retention_sweep',
+                updated_before: settledBefore,
+                deliveries: pruned
+            });
+        }
+    };
+
+    sweep();
+    const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+
+    logger.info('Payload retention sweeper started', {
+        type: 'payload_retention_start',
+        retention_days: PAYLOAD_RETENTION_DAYS,
+        delivery_retention_days: DELIVERY_RETENTION_DAYS
+    });
+
+    return () => clearInterval(timer);
+}
@@ -0,0 +1,80 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../logger.js';
+import { createJournal } from './journal.js';
+
+const journal = createJournal('review-queue');
+
+/**
+ * Park an event whose reference more than one system claimed. Nothing is
+ * forwarded until an operator picks the owner; the event itself stays in the
+ * delivery journal as the "in_review" delivery `deliveryId`.
+ */
+export function openReview({ requestId, deliveryId, provider, event, reference, claimants }) {
+    const review = journal.put({
+        id: uuidv4(),
+        status: 'open',
+        requestId,
+        deliveryId,
+        provider,
+        reference,
+        event,
+        claimants,
+        resolution: null,
+        createdAt: new Date().toISOString(),
+        closedAt: null
+    });
+
+    logger.warn('Ambiguous reference sent for review', {
+        type: 'review_opened',
+        requestId,
+        review_id: review.id,
+        delivery_id: deliveryId,
+        provider,
+        reference,
+        event,
+        claimants
+    });
+
+    return review;
+}
+
+export function getReview(id) {
+    return journal.get(id);
+}
+
+export function listReviews({ status, reference } = {}) {
+    return journal.values()
+        .filter(r => !status || r.status === status)
+        .filter(r => !reference || r.reference === reference)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// `status` is "resolved" (with the chosen `systemId`) or "discarded"
+export function closeReview(id, { status, systemId = null, requestId }) {
+    const review = journal.put({
+        ...journal.get(id),
+        status,
+        resolution: { systemId, requestId },
+        closedAt: new Date().toISOString()
+    });
+
+    logger.info(`Review ${status}`, {
+        type: `review_${status}`,
+        requestId,
+        review_id: id,
+        delivery_id: review.deliveryId,
+        reference: review.reference,
+        target_system: systemId
+    });
+
+    return review;
+}
+
+export function getReviewStats() {
+    const stats = { total: 0, open: 0, resolved: 0, discarded: 0 };
+    for (const review of journal.values()) {
+        stats.total++;
+        stats[review.status]++;
+    }
+    return stats;
+}
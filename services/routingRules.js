@@ -0,0 +1,160 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createJournal } from './journal.js';
+import { matchesEventPattern } from './eventPatterns.js';
+
+const journal = createJournal('routing-rules');
+
+const MATCH_FIELDS = ['provider', 'event', 'referencePrefix', 'referenceRegex', 'metadata', 'subaccount', 'customerCode'];
+// Every match field but metadata is a single string; an empty one would match everything
+const STRING_MATCH_FIELDS = MATCH_FIELDS.filter(field => field !== 'metadata');
+
+// Read a dot path such as "custom_fields.system" out of an object
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * A rule matches when every condition in `rule.match` holds:
+ *   provider, event     - exact match (event also accepts "charge.*" style wildcards)
+ *   referencePrefix     - reference starts with this string
+ *   referenceRegex      - reference matches this pattern
+ *   metadata            - { "<dot.path>": value } pairs compared as strings
+ *   subaccount          - provider subaccount code
+ *   customerCode        - provider customer code, for events that carry no reference
+ */
+function ruleMatches(match, context) {
+    if (match.provider && match.provider !== context.provider) return false;
+
+    if (match.event && !matchesEventPattern(match.event, context.event)) return false;
+
+    if (match.referencePrefix && !context.reference?.startsWith(match.referencePrefix)) return false;
+    if (match.referenceRegex && !new RegExp(match.referenceRegex).test(context.reference || '')) return false;
+    if (match.subaccount && match.subaccount !== context.subaccount) return false;
+    if (match.customerCode && String(match.customerCode) !== String(context.customerCode)) return false;
+
+    if (match.metadata) {
+        for (const [path, expected] of Object.entries(match.metadata)) {
+            const actual = getPath(context.metadata || {}, path);
+            if (actual === undefined || String(actual) !== String(expected)) return false;
+        }
+    }
+
+    return true;
+}
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+export function validateRule(input, systems) {
+    const errors = [];
+
+    if (input.match !== undefined && !isPlainObject(input.match)) {
+        return ['match must be an object of conditions'];
+    }
+    const match = input.match || {};
+
+    if (!input.systemId) {
+        errors.push('systemId is required');
+    } else if (!systems.some(s => s.id === input.systemId)) {
+        errors.push(`systemId ${input.systemId} is not a registered system`);
+    }
+    if (input.name !== undefined && input.name !== null && typeof input.name !== 'string') {
+        errors.push('name must be a string');
+    }
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+
+    const unknownFields = Object.keys(match).filter(field => !MATCH_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        errors.push(`Unknown match fields: ${unknownFields.join(', ')}`);
+    }
+    if (!MATCH_FIELDS.some(field => match[field] !== undefined)) {
+        errors.push(`match needs at least one of: ${MATCH_FIELDS.join(', ')}`);
+    }
+
+    STRING_MATCH_FIELDS
+        .filter(field => match[field] !== undefined && (typeof match[field] !== 'string' || !match[field].trim()))
+        .forEach(field => errors.push(`match.${field} must be a non-empty string`));
+
+    if (typeof match.referenceRegex === 'string') {
+        try {
+            new RegExp(match.referenceRegex);
+        } catch (error) {
+            errors.push(`referenceRegex is invalid: ${error.message}`);
+        }
+    }
+    if (match.metadata !== undefined && (!isPlainObject(match.metadata) || Object.keys(match.metadata).length === 0 ||
+        !Object.values(match.metadata).every(value => ['string', 'number', 'boolean'].includes(typeof value)))) {
+        errors.push('metadata must be a non-empty object of path/value pairs with string, number or boolean values');
+    }
+    if (input.priority !== undefined && !Number.isFinite(input.priority)) {
+        errors.push('priority must be a number');
+    }
+
+    return errors;
+}
+
+// Rules ordered by priority (lowest first), then creation time
+export function listRules() {
+    return journal.values().sort((a, b) =>
+        a.priority - b.priority || a.createdAt.localeCompare(b.createdAt)
+    );
+}
+
+export function getRule(id) {
+    return journal.get(id);
+}
+
+export function createRule({ name, systemId, match, priority = 100, enabled = true }) {
+    const now = new Date().toISOString();
+    return journal.put({
+        id: uuidv4(),
+        name: name || null,
+        systemId,
+        match,
+        priority,
+        enabled,
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+export function updateRule(id, { name, systemId, match, priority = 100, enabled = true }) {
+    const existing = journal.get(id);
+    if (!existing) return null;
+
+    return journal.put({
+        ...existing,
+        name: name || null,
+        systemId,
+        match,
+        priority,
+        enabled,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+export function deleteRule(id) {
+    return journal.remove(id);
+}
+
+/**
+ * Find the first enabled rule that matches `context` and points at an enabled system.
+ * Returns { rule, system, skipped } or { rule: null, skipped } where `skipped`
+ * lists matching rules whose target system is missing or disabled.
+ */
+export function matchRule(context, systems) {
+    const skipped = [];
+
+    for (const rule of listRules()) {
+        if (!rule.enabled || !ruleMatches(rule.match, context)) continue;
+
+        const system = systems.find(s => s.id === rule.systemId);
+        if (system?.enabled) {
+            return { rule, system, skipped };
+        }
+        skipped.push({ rule_id: rule.id, system_id: rule.systemId });
+    }
+
+    return { rule: null, skipped };
+}
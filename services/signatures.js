@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+
+/**
+ * Read a list of secrets from env vars. Each var may hold one secret or a
+ * comma-separated list; blanks and duplicates are dropped, order is kept.
+ */
+export function loadSecrets(...envNames) {
+    const secrets = envNames
+        .flatMap(name => (process.env[name] || '').split(','))
+        .map(secret => secret.trim())
+        .filter(Boolean);
+
+    return [...new Set(secrets)];
+}
+
+export function computeHmac(algorithm, secret, body) {
+    return crypto.createHmac(algorithm, secret).update(body).digest('hex');
+}
+
+// Constant-time comparison of two hex strings
+export function safeCompareHex(expected, received) {
+    if (typeof received !== 'string' || !/^[0-9a-f]+$/i.test(received)) return false;
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(received.toLowerCase(), 'hex');
+
+    return expectedBuffer.length === receivedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Check `signature` against an HMAC of `body` under each secret in turn.
+ * Returns the index of the matching secret, or -1 when none match.
+ */
+export function findMatchingSecret(algorithm, secrets, body, signature) {
+    // Check every secret so timing does not reveal which one matched
+    let matched = -1;
+    secrets.forEach((secret, index) => {
+        if (safeCompareHex(computeHmac(algorithm, secret, body), signature) && matched === -1) {
+            matched = index;
+        }
+    });
+    return matched;
+}
+
+// Constant-time comparison of two arbitrary strings (e.g. shared-secret headers)
+export function safeCompareStrings(expected, received) {
+    if (typeof received !== 'string') return false;
+
+    const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+    const receivedDigest = crypto.createHash('sha256').update(received).digest();
+
+    return crypto.timingSafeEqual(expectedDigest, receivedDigest);
+}
+
+// Secret the dispatcher signs forwarded webhooks with; every system and subscriber gets its own
+export function generateSigningSecret() {
+    return `wds_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// First and last four characters only, for API responses and audit records
+export function maskSecret(secret) {
+    return secret ? `${secret.slice(0, 4)}…${secret.slice(-4)}` : secret;
+}
+
+/**
+ * Signature the dispatcher attaches to forwarded webhooks: hex HMAC-SHA256 of
+ * `<timestamp>.<deliveryId>.<body>` under the receiving system's secret. Binding
+ * the timestamp and delivery id lets receivers reject replays and duplicates.
+ */
+export function signDispatch(secret, timestamp, deliveryId, body) {
+    return computeHmac('sha256', secret, `${timestamp}.${deliveryId}.${body}`);
+}
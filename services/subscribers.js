@@ -0,0 +1,132 @@
+import { createJournal } from './journal.js';
+import { generateSigningSecret, maskSecret } from './signatures.js';
+import { matchesEventPattern, isEventPatternList } from './eventPatterns.js';
+
+/**
+ * Subscribers are secondary consumers (ledgers, analytics, notifiers) that get a
+ * copy of every event matching their filters, whichever system owns the reference.
+ *   events     - event patterns such as "charge.*" (see eventPatterns.js)
+ *   providers  - provider ids to accept; empty means all
+ */
+const SUBSCRIBER_DEFAULTS = {
+    providers: [],
+    enabled: true,
+    timeout: 10000,
+    forwardProviderSignature: false
+};
+
+const EDITABLE_FIELDS = ['name', 'url', 'events', 'providers', 'enabled', 'timeout', 'signingSecret', 'forwardProviderSignature'];
+
+const journal = createJournal('subscribers');
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+export function validateSubscriber(input, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => input[field] !== undefined;
+
+    const unknownFields = Object.keys(input).filter(field => field !== 'id' && !EDITABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        errors.push(`Unknown fields: ${unknownFields.join(', ')}`);
+    }
+
+    if (!partial) {
+        ['id', 'name', 'url', 'events'].filter(field => !has(field)).forEach(field => errors.push(`${field} is required`));
+    }
+
+    if (has('id') && !/^[a-z0-9][a-z0-9_-]*$/i.test(input.id)) {
+        errors.push('id may only contain letters, numbers, "-" and "_"');
+    }
+    if (has('name') && (typeof input.name !== 'string' || !input.name.trim())) {
+        errors.push('name must be a non-empty string');
+    }
+    if (has('url')) {
+        let url = null;
+        try {
+            url = new URL(input.url);
+        } catch (error) {
+            // reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.push('url must be an http(s) URL');
+        }
+    }
+    if (has('events') && !isEventPatternList(input.events)) {
+        errors.push('events must be a non-empty list of event names');
+    }
+    if (has('providers') && !isStringList(input.providers)) {
+        errors.push('providers must be a list of provider ids');
+    }
+    if (has('enabled') && typeof input.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+    if (has('timeout') && (!Number.isInteger(input.timeout) || input.timeout < 1000 || input.timeout > 120000)) {
+        errors.push('timeout must be an integer between 1000 and 120000 ms');
+    }
+    if (has('signingSecret') && (typeof input.signingSecret !== 'string' || input.signingSecret.length < 32)) {
+        errors.push('signingSecret must be a string of at least 32 characters');
+    }
+    if (has('forwardProviderSignature') && typeof input.forwardProviderSignature !== 'boolean') {
+        errors.push('forwardProviderSignature must be true or false');
+    }
+
+    return errors;
+}
+
+function normalize(input) {
+    const subscriber = {};
+    EDITABLE_FIELDS.filter(field => input[field] !== undefined).forEach(field => {
+        subscriber[field] = input[field];
+    });
+    return subscriber;
+}
+
+// Subscriber record with the signing secret masked, safe to return from the API or write to the audit log
+export function toPublicSubscriber(subscriber) {
+    return subscriber && { ...subscriber, signingSecret: maskSecret(subscriber.signingSecret) };
+}
+
+export function listSubscribers() {
+    return journal.values();
+}
+
+export function getSubscriber(id) {
+    return journal.get(id);
+}
+
+// Enabled subscribers whose filters accept this event
+export function matchSubscribers({ provider, event }) {
+    return journal.values().filter(subscriber =>
+        subscriber.enabled &&
+        (subscriber.providers.length === 0 || subscriber.providers.includes(provider)) &&
+        subscriber.events.some(pattern => matchesEventPattern(pattern, event))
+    );
+}
+
+export function createSubscriber(input) {
+    const now = new Date().toISOString();
+    return journal.put({
+        id: input.id,
+        ...SUBSCRIBER_DEFAULTS,
+        signingSecret: generateSigningSecret(),
+        ...normalize(input),
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+export function patchSubscriber(id, changes) {
+    return journal.put({
+        ...journal.get(id),
+        ...normalize(changes),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+export function rotateSubscriberSecret(id) {
+    return patchSubscriber(id, { signingSecret: generateSigningSecret() });
+}
+
+export function deleteSubscriber(id) {
+    return journal.remove(id);
+}
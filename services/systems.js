@@ -0,0 +1,268 @@
+import logger from '../logger.js';
+import { createJournal } from './journal.js';
+import { generateSigningSecret, maskSecret } from './signatures.js';
+import { matchesEventPattern, isEventPatternList } from './eventPatterns.js';
+import { validateTransform } from './transforms.js';
+
+// Seeded into the registry on the very first start; the registry file is the source of truth after that
+const DEFAULT_SYSTEMS = [
+    {
+        id: 'cunsa-nominations',
+        name: 'CUNSA Nominations',
+        baseUrl: 'https://api.cunsanominations.eticketzgh.com',
+        webhookPath: '/api/webhooks/paystack',
+        healthCheck: '/health',
+        enabled: true,
+        timeout: 30000
+    },
+    {
+        id: 'cunsa-ticketing',
+        name: 'CUNSA Ticketing',
+        baseUrl: 'https://api.cunsa.eticketzgh.com',
+        webhookPath: '/api/webhooks/paystack',
+        healthCheck: '/health',
+        enabled: true,
+        timeout: 30000
+    }
+    // {
+    //     id: 'mmv-voting',
+    //     name: 'MMV Voting',
+    //     baseUrl: 'https://api.nominations.cuministrymmv.org',
+    //     webhookPath: '/api/webhooks/paystack',
+    //     healthCheck: '/health',
+    //     enabled: true,
+    //     timeout: 30000
+    // }
+];
+
+// Defaults applied when a field is omitted on create or replace
+const SYSTEM_DEFAULTS = {
+    webhookPath: '/api/webhooks/paystack',
+    webhookPaths: {},
+    healthCheck: '/health',
+    enabled: true,
+    timeout: 30000,
+    forwardProviderSignature: true,
+    events: ['*'],
+    priority: 100,
+    transform: null
+};
+
+const EDITABLE_FIELDS = [
+    'name', 'baseUrl', 'webhookPath', 'webhookPaths', 'healthCheck', 'enabled', 'timeout', 'circuitBreaker',
+    'signingSecret', 'forwardProviderSignature', 'events', 'priority', 'transform'
+];
+
+const journal = createJournal('systems');
+
+if (!journal.existed) {
+    const now = new Date().toISOString();
+    DEFAULT_SYSTEMS.forEach(system => journal.put({
+        id: system.id,
+        ...SYSTEM_DEFAULTS,
+        ...system,
+        signingSecret: generateSigningSecret(),
+        createdAt: now,
+        updatedAt: now
+    }));
+
+    logger.info('System registry seeded with defaults', {
+        type: 'system_registry_seeded',
+        systems: DEFAULT_SYSTEMS.map(s => s.id)
+    });
+}
+
+// Systems registered before outbound signing existed get a secret on first start
+const unsigned = journal.values().filter(system => !system.signingSecret);
+if (unsigned.length > 0) {
+    unsigned.forEach(system => journal.put({
+        forwardProviderSignature: SYSTEM_DEFAULTS.forwardProviderSignature,
+        ...system,
+        signingSecret: generateSigningSecret()
+    }));
+
+    logger.info('Signing secrets generated for existing systems', {
+        type: 'system_signing_secrets_generated',
+        systems: unsigned.map(s => s.id)
+    });
+}
+
+const isPath = (value) => typeof value === 'string' && value.startsWith('/');
+
+/**
+ * Validate a system definition. With `partial` only the fields present are
+ * checked (PATCH); otherwise id, name and baseUrl are required.
+ */
+export function validateSystem(input, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => input[field] !== undefined;
+
+    const unknownFields = Object.keys(input).filter(field => field !== 'id' && !EDITABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        errors.push(`Unknown fields: ${unknownFields.join(', ')}`);
+    }
+
+    if (!partial) {
+        ['id', 'name', 'baseUrl'].filter(field => !has(field)).forEach(field => errors.push(`${field} is required`));
+    }
+
+    if (has('id') && !/^[a-z0-9][a-z0-9_-]*$/i.test(input.id)) {
+        errors.push('id may only contain letters, numbers, "-" and "_"');
+    }
+    if (has('name') && (typeof input.name !== 'string' || !input.name.trim())) {
+        errors.push('name must be a non-empty string');
+    }
+    if (has('baseUrl')) {
+        let url = null;
+        try {
+            url = new URL(input.baseUrl);
+        } catch (error) {
+            // reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol) || url.search || url.hash) {
+            errors.push('baseUrl must be an http(s) URL without query string or fragment');
+        }
+    }
+    if (has('webhookPath') && !isPath(input.webhookPath)) {
+        errors.push('webhookPath must start with "/"');
+    }
+    if (has('healthCheck') && !isPath(input.healthCheck)) {
+        errors.push('healthCheck must start with "/"');
+    }
+    if (has('webhookPaths')) {
+        const paths = input.webhookPaths;
+        if (typeof paths !== 'object' || paths === null || Array.isArray(paths) || !Object.values(paths).every(isPath)) {
+            errors.push('webhookPaths must map provider ids to paths starting with "/"');
+        }
+    }
+    if (has('enabled') && typeof input.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+    if (has('timeout') && (!Number.isInteger(input.timeout) || input.timeout < 1000 || input.timeout > 120000)) {
+        errors.push('timeout must be an integer between 1000 and 120000 ms');
+    }
+    if (has('circuitBreaker')) {
+        const { failureThreshold, cooldownMs, ...rest } = input.circuitBreaker || {};
+        if (Object.keys(rest).length > 0 ||
+            (failureThreshold !== undefined && (!Number.isInteger(failureThreshold) || failureThreshold < 1)) ||
+            (cooldownMs !== undefined && (!Number.isInteger(cooldownMs) || cooldownMs < 1000))) {
+            errors.push('circuitBreaker may set failureThreshold (integer >= 1) and cooldownMs (integer >= 1000)');
+        }
+    }
+    if (has('signingSecret') && (typeof input.signingSecret !== 'string' || input.signingSecret.length < 32)) {
+        errors.push('signingSecret must be a string of at least 32 characters');
+    }
+    if (has('forwardProviderSignature') && typeof input.forwardProviderSignature !== 'boolean') {
+        errors.push('forwardProviderSignature must be true or false');
+    }
+    if (has('events') && !isEventPatternList(input.events)) {
+        errors.push('events must be a non-empty list of event types, e.g. ["charge.*", "refund.processed"]');
+    }
+    if (has('priority') && (!Number.isInteger(input.priority) || input.priority < 0 || input.priority > 1000)) {
+        errors.push('priority must be an integer between 0 and 1000 (lower is asked first)');
+    }
+    if (has('transform')) {
+        errors.push(...validateTransform(input.transform));
+    }
+
+    return errors;
+}
+
+// Keep only editable fields and drop a trailing slash from baseUrl
+function normalize(input) {
+    const system = {};
+    EDITABLE_FIELDS.filter(field => input[field] !== undefined).forEach(field => {
+        system[field] = input[field];
+    });
+    if (system.baseUrl) {
+        system.baseUrl = system.baseUrl.replace(/\/+$/, '');
+    }
+    return system;
+}
+
+// Registry entry with the signing secret masked, safe to return from the API or write to the audit log
+export function toPublicSystem(system) {
+    return system && { ...system, signingSecret: maskSecret(system.signingSecret) };
+}
+
+export function listSystems() {
+    return journal.values();
+}
+
+export function enabledSystems() {
+    return journal.values().filter(s => s.enabled);
+}
+
+// Systems registered before event subscriptions existed accept every event
+export function acceptsEvent(system, event) {
+    return (system.events || SYSTEM_DEFAULTS.events).some(pattern => matchesEventPattern(pattern, event));
+}
+
+// Discovery order: lower numbers are asked first and win over higher ones
+export function systemPriority(system) {
+    return system.priority ?? SYSTEM_DEFAULTS.priority;
+}
+
+// Enabled systems subscribed to this event type - the only candidates for routing it - in priority order
+export function systemsForEvent(event) {
+    return enabledSystems()
+        .filter(system => acceptsEvent(system, event))
+        .sort((a, b) => systemPriority(a) - systemPriority(b));
+}
+
+// Every system subscribed to this event type, enabled or not; none at all means the event is filtered
+export function subscribedSystems(event) {
+    return journal.values().filter(system => acceptsEvent(system, event));
+}
+
+export function getSystem(id) {
+    return journal.get(id);
+}
+
+export function createSystem(input) {
+    const now = new Date().toISOString();
+    return journal.put({
+        id: input.id,
+        ...SYSTEM_DEFAULTS,
+        signingSecret: generateSigningSecret(),
+        ...normalize(input),
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+export function replaceSystem(id, input) {
+    const existing = journal.get(id);
+    return journal.put({
+        id,
+        ...SYSTEM_DEFAULTS,
+        // Replacing the definition keeps the secret downstream already verifies with
+        signingSecret: existing.signingSecret,
+        ...normalize(input),
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+export function patchSystem(id, changes) {
+    const existing = journal.get(id);
+    return journal.put({
+        ...existing,
+        ...normalize(changes),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+// Issue a new signing secret; the previous one stops working immediately
+export function rotateSigningSecret(id) {
+    const existing = journal.get(id);
+    return journal.put({
+        ...existing,
+        signingSecret: generateSigningSecret(),
+        updatedAt: new Date().toISOString()
+    });
+}
+
+export function deleteSystem(id) {
+    return journal.remove(id);
+}
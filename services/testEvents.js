@@ -0,0 +1,201 @@
+/**
+ * Synthetic Paystack events for /admin/test-webhook, shaped like the real
+ * payloads (trimmed to the fields downstream systems read). Overrides:
+ *   reference, amount (minor units), currency, customerEmail, customerCode, metadata
+ *   data - merged last over the generated `data`, for anything else
+ */
+const OVERRIDE_FIELDS = ['reference', 'amount', 'currency', 'customerEmail', 'customerCode', 'metadata', 'data'];
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function customer({ customerEmail, customerCode }) {
+    return {
+        id: 1000001,
+        first_name: 'Test',
+        last_name: 'Customer',
+        email: customerEmail,
+        customer_code: customerCode,
+        phone: null,
+        metadata: null,
+        risk_action: 'default'
+    };
+}
+
+function charge(status, gatewayResponse) {
+    return (o) => ({
+        id: o.id,
+        domain: 'test',
+        status,
+        reference: o.reference,
+        amount: o.amount,
+        message: null,
+        gateway_response: gatewayResponse,
+        paid_at: status === 'success' ? o.now : null,
+        created_at: o.now,
+        channel: 'card',
+        currency: o.currency,
+        ip_address: '127.0.0.1',
+        metadata: o.metadata,
+        fees: status === 'success' ? Math.round(o.amount * 0.0195) : null,
+        customer: customer(o),
+        authorization: {
+            authorization_code: 'AUTH_test',
+            bin: '408408',
+            last4: '4081',
+            exp_month: '12',
+            exp_year: '2030',
+            channel: 'card',
+            card_type: 'visa ',
+            bank: 'TEST BANK',
+            country_code: 'GH',
+            brand: 'visa',
+            reusable: status === 'success'
+        },
+        plan: {},
+        subaccount: {}
+    });
+}
+
+const TEMPLATES = {
+    'charge.success': {
+        description: 'Successful card payment',
+        data: charge('success', 'Successful')
+    },
+    'charge.failed': {
+        description: 'Declined card payment',
+        data: charge('failed', 'Declined')
+    },
+    'refund.processed': {
+        description: 'Refund of an earlier charge completed; the charge reference is transaction_reference',
+        data: (o) => ({
+            status: 'processed',
+            transaction_reference: o.reference,
+            refund_reference: `RF-${o.reference}`,
+            amount: String(o.amount),
+            currency: o.currency,
+            processor: 'mpgs',
+            customer: {
+                first_name: 'Test',
+                last_name: 'Customer',
+                email: o.customerEmail
+            },
+            integration: 100001,
+            domain: 'test'
+        })
+    },
+    'charge.dispute.create': {
+        description: 'Chargeback opened against a charge; the charge is under data.transaction',
+        data: (o) => ({
+            id: o.id,
+            refund_amount: o.amount,
+            currency: o.currency,
+            status: 'awaiting-merchant-feedback',
+            resolution: null,
+            domain: 'test',
+            transaction: {
+                id: o.id + 1,
+                reference: o.reference,
+                amount: o.amount,
+                currency: o.currency,
+                status: 'success',
+                channel: 'card',
+                paid_at: o.now
+            },
+            customer: customer(o),
+            category: 'chargeback',
+            due_at: new Date(Date.parse(o.now) + 3 * 86400000).toISOString(),
+            created_at: o.now,
+            note: null
+        })
+    },
+    'transfer.success': {
+        description: 'Payout to a mobile money recipient completed',
+        data: (o) => ({
+            id: o.id,
+            amount: o.amount,
+            currency: o.currency,
+            domain: 'test',
+            failures: null,
+            integration: { id: 100001, is_live: false, business_name: 'Test Business' },
+            reason: 'Test payout',
+            reference: o.reference,
+            source: 'balance',
+            source_details: null,
+            status: 'success',
+            titan_code: null,
+            transfer_code: `TRF_${o.id}`,
+            transferred_at: o.now,
+            recipient: {
+                active: true,
+                currency: o.currency,
+                domain: 'test',
+                email: o.customerEmail,
+                name: 'Test Recipient',
+                recipient_code: 'RCP_test',
+                type: 'mobile_money',
+                details: { account_number: '0240000000', bank_code: 'MTN', bank_name: 'MTN Mobile Money' }
+            },
+            created_at: o.now,
+            updated_at: o.now
+        })
+    }
+};
+
+export function listTestEventTemplates() {
+    return Object.entries(TEMPLATES).map(([event, { description }]) => ({
+        event,
+        description,
+        sample: buildTestEvent(event)
+    }));
+}
+
+export function validateTestEvent(template, overrides = {}) {
+    const errors = [];
+
+    // Own keys only: "toString" or "constructor" would otherwise pass as a template
+    if (typeof template !== 'string' || !Object.hasOwn(TEMPLATES, template)) {
+        errors.push(`template must be one of: ${Object.keys(TEMPLATES).join(', ')}`);
+    }
+    if (!isPlainObject(overrides)) {
+        return [...errors, 'overrides must be an object'];
+    }
+
+    const unknownFields = Object.keys(overrides).filter(field => !OVERRIDE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        errors.push(`Unknown overrides: ${unknownFields.join(', ')}`);
+    }
+
+    const has = (field) => overrides[field] !== undefined;
+    ['reference', 'currency', 'customerEmail', 'customerCode']
+        .filter(field => has(field) && (typeof overrides[field] !== 'string' || !overrides[field].trim()))
+        .forEach(field => errors.push(`${field} must be a non-empty string`));
+    if (has('amount') && (!Number.isInteger(overrides.amount) || overrides.amount <= 0)) {
+        errors.push('amount must be a positive integer in minor units (e.g. pesewas)');
+    }
+    ['metadata', 'data']
+        .filter(field => has(field) && !isPlainObject(overrides[field]))
+        .forEach(field => errors.push(`${field} must be an object`));
+
+    return errors;
+}
+
+// A Paystack-shaped body for `template`; validate the overrides first
+export function buildTestEvent(template, overrides = {}) {
+    const { data: extraData = {}, ...fields } = overrides;
+    const values = {
+        id: Math.floor(Math.random() * 1e9),
+        now: new Date().toISOString(),
+        reference: `TEST-${Date.now()}`,
+        amount: 10000,
+        currency: 'GHS',
+        customerEmail: 'test@example.com',
+        customerCode: 'CUS_test',
+        metadata: {},
+        ...fields
+    };
+
+    return {
+        event: template,
+        data: { ...TEMPLATES[template].data(values), ...extraData }
+    };
+}
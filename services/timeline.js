@@ -0,0 +1,128 @@
+import { readReferenceLogs } from './logQuery.js';
+import { listDeliveries, deliveryTarget } from './deliveries.js';
+import { listDeadLetters } from './deadLetters.js';
+import { listEntries } from './resolutionCache.js';
+
+// Log entries the delivery and dead-letter journals already record more precisely
+const JOURNALED_LOG_TYPES = new Set([
+    'webhook_forward_start',
+    'webhook_forward_complete',
+    'webhook_forward_error',
+    'delivery_retry_attempt',
+    'delivery_retry_scheduled',
+    'delivery_retry_success',
+    'delivery_retries_exhausted',
+    'dead_letter_added',
+    'dead_letter_replayed'
+]);
+
+// Logger metadata that says nothing about the event itself
+const LOG_NOISE_FIELDS = ['service', 'version', 'environment', 'timestamp', 'level', 'message', 'type', 'requestId'];
+
+function fromLogEntry(entry) {
+    const details = { ...entry };
+    LOG_NOISE_FIELDS.forEach(field => delete details[field]);
+
+    return {
+        at: new Date(entry.timestamp).toISOString(),
+        source: 'log',
+        type: entry.type,
+        level: entry.level,
+        message: entry.message,
+        requestId: entry.requestId,
+        details
+    };
+}
+
+function fromDelivery(delivery) {
+    const base = { source: 'delivery', requestId: delivery.requestId, deliveryId: delivery.id };
+
+    return [
+        {
+            ...base,
+            at: delivery.createdAt,
+            type: 'delivery_created',
+            details: { target: deliveryTarget(delivery), routedBy: delivery.routedBy, currentStatus: delivery.status }
+        },
+        ...delivery.attemptLog.map(attempt => ({
+            ...base,
+            at: attempt.at,
+            type: 'delivery_attempt',
+            details: {
+                target: deliveryTarget(delivery),
+                attempt: attempt.attempt,
+                success: attempt.success,
+                status: attempt.status,
+                responseTime: attempt.responseTime,
+                error: attempt.error
+            }
+        }))
+    ];
+}
+
+function fromDeadLetter(deadLetter) {
+    const base = { source: 'dead_letter', deadLetterId: deadLetter.id };
+
+    return [
+        {
+            ...base,
+            at: deadLetter.createdAt,
+            type: 'dead_letter_created',
+            requestId: deadLetter.requestId,
+            details: { reason: deadLetter.reason, deliveryId: deadLetter.deliveryId, lastError: deadLetter.lastError }
+        },
+        ...deadLetter.replays.map(replay => ({
+            ...base,
+            at: replay.at,
+            type: 'dead_letter_replayed',
+            requestId: replay.requestId,
+            details: {
+                systemId: replay.systemId,
+                subscriberId: replay.subscriberId,
+                deliveryId: replay.deliveryId,
+                deliveryStatus: replay.deliveryStatus
+            }
+        }))
+    ];
+}
+
+/**
+ * Everything known about a payment reference, oldest first: webhooks received,
+ * signature checks and discovery answers from the logs, then delivery attempts,
+ * dead letters and replays from the journals (which outlive log rotation).
+ */
+export async function buildReferenceTimeline(reference) {
+    const logEntries = [];
+    for await (const entry of readReferenceLogs(reference)) {
+        if (!JOURNALED_LOG_TYPES.has(entry.type)) logEntries.push(fromLogEntry(entry));
+    }
+
+    const deliveries = listDeliveries({ reference });
+    const deadLetters = listDeadLetters({ reference });
+    const cached = listEntries({ reference })[0];
+
+    // Log and journal times are both ISO with milliseconds. Entries stamped in the same millisecond keep the
+    // order below (a request's log lines as written, then deliveries, then dead letters); the stable sort relies on it
+    const timeline = [
+        ...logEntries.reverse(),
+        ...deliveries.flatMap(fromDelivery),
+        ...deadLetters.flatMap(fromDeadLetter)
+    ].sort((a, b) => a.at.localeCompare(b.at));
+
+    return {
+        reference,
+        summary: {
+            webhooksReceived: logEntries.filter(e => e.type === 'webhook_received').length,
+            cachedOwner: cached ? { systemId: cached.systemId, negative: cached.negative, expiresAt: cached.expiresAt } : null,
+            deliveries: deliveries.map(d => ({
+                id: d.id,
+                target: deliveryTarget(d),
+                status: d.status,
+                attempts: d.attempts,
+                createdAt: d.createdAt
+            })),
+            deadLetters: deadLetters.map(d => ({ id: d.id, reason: d.reason, status: d.status, createdAt: d.createdAt }))
+        },
+        timeline
+    };
+}
@@ -0,0 +1,211 @@
+/**
+ * Declarative per-system reshaping of forwarded events. A system's `transform`:
+ *   fields   - output key (dots nest) -> spec; when set, the body is built from these alone:
+ *                "path"                         the value at a source path
+ *                { path, convert?, default? }   convert: "minorToMajor" | "number" | "string"
+ *                { template: "{{reference}}" }  a string with {{path}} placeholders
+ *                { value }                      a constant
+ *   strip    - paths removed from the body (the mapped one, or the provider's payload)
+ *   headers  - header name -> "static value" | { value } | { env: "DISPATCH_HEADER_..." } (read at send time;
+ *              only variables with that prefix, so the dispatcher's own secrets cannot be sent out)
+ * Paths may not use __proto__, constructor or prototype as a segment.
+ * Source paths read the normalised fields (provider, event, reference, amount, currency,
+ * customerEmail, customerCode, channel, metadata) or the original body under "payload.",
+ * e.g. "payload.data.status".
+ */
+const TRANSFORM_KEYS = ['fields', 'strip', 'headers'];
+
+// Amounts arrive in minor units (kobo, pesewas, cents)
+const CONVERSIONS = {
+    minorToMajor: (value) => (value == null || value === '' ? null : Number(value) / 100),
+    number: (value) => (value == null || value === '' ? null : Number(value)),
+    string: (value) => (value == null ? null : String(value))
+};
+
+// Set by the dispatcher on every request; a transform may not replace them
+const RESERVED_HEADERS = ['content-type', 'content-length', 'host', 'connection', 'transfer-encoding', 'x-request-id', 'x-webhook-provider', 'x-forwarded-for'];
+
+const PATH_PATTERN = /^[\w$-]+(\.[\w$-]+)*$/;
+// Segments that would reach into Object.prototype instead of the body
+const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const ENV_PREFIX = 'DISPATCH_HEADER_';
+const ENV_NAME_PATTERN = /^DISPATCH_HEADER_[A-Za-z0-9_]+$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w$.-]+)\s*\}\}/g;
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isPath = (value) => typeof value === 'string' && PATH_PATTERN.test(value) &&
+    value.split('.').every(segment => !UNSAFE_SEGMENTS.includes(segment));
+const isHeaderValue = (value) => typeof value === 'string' && !/[\r\n]/.test(value);
+
+// Walks own properties only, so no path can resolve to something inherited
+function getPath(source, path) {
+    return path.split('.').reduce(
+        (value, key) => (value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined),
+        source
+    );
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (!Object.hasOwn(node, key) || !isPlainObject(node[key])) node[key] = {};
+        return node[key];
+    }, target);
+    parent[last] = value;
+}
+
+function deletePath(target, path) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.length === 0 ? target : getPath(target, keys.join('.'));
+    if (parent !== null && typeof parent === 'object' && Object.hasOwn(parent, last)) delete parent[last];
+}
+
+function validateFieldSpec(key, spec) {
+    if (typeof spec === 'string') {
+        return isPath(spec) ? [] : [`fields.${key} must be a source path such as "reference" or "payload.data.status"`];
+    }
+    if (!isPlainObject(spec)) {
+        return [`fields.${key} must be a path or an object with path, template or value`];
+    }
+
+    const kinds = ['path', 'template', 'value'].filter(kind => spec[kind] !== undefined);
+    if (kinds.length !== 1) {
+        return [`fields.${key} needs exactly one of path, template or value`];
+    }
+
+    const errors = [];
+    const allowed = { path: ['path', 'convert', 'default'], template: ['template'], value: ['value'] }[kinds[0]];
+    const unknown = Object.keys(spec).filter(option => !allowed.includes(option));
+    if (unknown.length > 0) {
+        errors.push(`fields.${key} has unsupported options: ${unknown.join(', ')}`);
+    }
+    if (spec.path !== undefined && !isPath(spec.path)) {
+        errors.push(`fields.${key}.path must be a source path`);
+    }
+    if (spec.convert !== undefined && !CONVERSIONS[spec.convert]) {
+        errors.push(`fields.${key}.convert must be one of: ${Object.keys(CONVERSIONS).join(', ')}`);
+    }
+    if (spec.template !== undefined && typeof spec.template !== 'string') {
+        errors.push(`fields.${key}.template must be a string`);
+    }
+    return errors;
+}
+
+function validateHeaderSpec(name, spec) {
+    const errors = [];
+
+    if (!HEADER_NAME_PATTERN.test(name)) {
+        errors.push(`headers: "${name}" is not a valid header name`);
+    } else if (RESERVED_HEADERS.includes(name.toLowerCase()) || name.toLowerCase().startsWith('x-dispatcher-')) {
+        errors.push(`headers: ${name} is set by the dispatcher and cannot be overridden`);
+    }
+
+    if (typeof spec === 'string' || (isPlainObject(spec) && Object.keys(spec).join() === 'value')) {
+        if (!isHeaderValue(spec.value ?? spec)) errors.push(`headers.${name} must be a single-line string`);
+    } else if (isPlainObject(spec) && Object.keys(spec).join() === 'env') {
+        if (!ENV_NAME_PATTERN.test(spec.env)) {
+            errors.push(`headers.${name}.env must name an environment variable starting with ${ENV_PREFIX}`);
+        } else if (process.env[spec.env] === undefined) {
+            errors.push(`headers.${name} reads ${spec.env}, which is not set`);
+        }
+    } else {
+        errors.push(`headers.${name} must be a string, { value } or { env }`);
+    }
+
+    return errors;
+}
+
+// Problems with a transform definition, as messages; null clears a system's transform
+export function validateTransform(transform) {
+    if (transform === null) return [];
+    if (!isPlainObject(transform)) return ['transform must be an object with fields, strip and/or headers'];
+
+    const errors = [];
+    const unknown = Object.keys(transform).filter(key => !TRANSFORM_KEYS.includes(key));
+    if (unknown.length > 0) {
+        errors.push(`transform has unsupported keys: ${unknown.join(', ')}`);
+    }
+
+    if (transform.fields !== undefined) {
+        if (!isPlainObject(transform.fields) || Object.keys(transform.fields).length === 0) {
+            errors.push('transform.fields must map output keys to source paths');
+        } else {
+            Object.entries(transform.fields).forEach(([key, spec]) => {
+                if (!isPath(key)) errors.push(`fields: "${key}" is not a valid output key`);
+                errors.push(...validateFieldSpec(key, spec));
+            });
+        }
+    }
+    if (transform.strip !== undefined && (!Array.isArray(transform.strip) || !transform.strip.every(isPath))) {
+        errors.push('transform.strip must be a list of paths');
+    }
+    if (transform.headers !== undefined) {
+        if (!isPlainObject(transform.headers)) {
+            errors.push('transform.headers must map header names to values');
+        } else {
+            Object.entries(transform.headers).forEach(([name, spec]) => errors.push(...validateHeaderSpec(name, spec)));
+        }
+    }
+
+    return errors.map(error => (error.startsWith('transform') ? error : `transform.${error}`));
+}
+
+// Whether the transform changes the body (and so invalidates the provider's signature)
+export function reshapesBody(transform) {
+    return Boolean(transform?.fields || transform?.strip);
+}
+
+function resolveField(spec, source) {
+    if (typeof spec === 'string') return getPath(source, spec) ?? null;
+    if (spec.value !== undefined) return spec.value;
+    if (spec.template !== undefined) {
+        return spec.template.replace(PLACEHOLDER_PATTERN, (match, path) => getPath(source, path) ?? '');
+    }
+
+    const value = getPath(source, spec.path) ?? spec.default ?? null;
+    return spec.convert ? CONVERSIONS[spec.convert](value) : value;
+}
+
+/**
+ * The body a system receives. `source` holds the adapter's extracted fields,
+ * `provider` and the original `payload`.
+ */
+export function applyTransform(transform, source) {
+    const body = transform.fields ? {} : structuredClone(source.payload);
+
+    Object.entries(transform.fields || {}).forEach(([key, spec]) => setPath(body, key, resolveField(spec, source)));
+    (transform.strip || []).forEach(path => deletePath(body, path));
+
+    return body;
+}
+
+/**
+ * Extra request headers. Secret-backed values are read from the environment on every
+ * send; `preview` shows where they come from instead of their value.
+ */
+export function transformHeaders(transform, { preview = false } = {}) {
+    const headers = {};
+
+    Object.entries(transform?.headers || {}).forEach(([name, spec]) => {
+        if (typeof spec === 'string' || spec.value !== undefined) {
+            headers[name] = spec.value ?? spec;
+            return;
+        }
+        if (preview) {
+            headers[name] = `<${spec.env}${process.env[spec.env] === undefined ? ', not set' : ''}>`;
+            return;
+        }
+        if (!ENV_NAME_PATTERN.test(spec.env)) {
+            throw new Error(`Header ${name} reads ${spec.env}, which is not a ${ENV_PREFIX} variable`);
+        }
+        if (process.env[spec.env] === undefined) {
+            throw new Error(`Header ${name} reads ${spec.env}, which is not set`);
+        }
+        headers[name] = process.env[spec.env];
+    });
+
+    return headers;
+}
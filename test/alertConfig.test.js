@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRule } from '../services/alertRules.js';
+import { validateChannel, toPublicChannel } from '../services/alertChannels.js';
+
+test('rule and channel types must be their own keys, not inherited ones', () => {
+    for (const type of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+        assert.match(validateRule({ id: 'r', name: 'R', type, windowMinutes: 5 }).join(), /type must be one of/, type);
+        assert.match(validateChannel({ id: 'c', name: 'C', type }).join(), /type must be one of/, type);
+    }
+});
+
+test('rules need the fields of their type and reject the fields of others', () => {
+    assert.deepEqual(validateRule({ id: 'r', name: 'R', type: 'forward_failures', threshold: 5, windowMinutes: 10 }), []);
+
+    const errors = validateRule({ id: 'r', name: 'R', type: 'no_webhooks', threshold: 5 });
+    assert.ok(errors.includes('windowMinutes is required for no_webhooks rules'));
+    assert.ok(errors.includes('no_webhooks rules do not take: threshold'));
+    assert.ok(validateRule({ id: 'r', name: 'R', type: 'forward_failures', threshold: 0, windowMinutes: 2000 }).length === 2);
+    assert.ok(validateRule({ channels: ['missing'] }, { partial: true, existing: { type: 'no_webhooks' } })
+        .includes('Unknown alert channels: missing'));
+});
+
+test('a rule or channel type cannot be changed', () => {
+    assert.ok(validateRule({ type: 'no_webhooks' }, { partial: true, existing: { type: 'forward_failures' } })
+        .includes('type cannot be changed; create a new rule instead'));
+    assert.ok(validateChannel({ type: 'file' }, { partial: true, existing: { type: 'webhook' } })
+        .includes('type cannot be changed; create a new channel instead'));
+});
+
+test('file channels may not write into the logger\'s own files or leave the logs directory', () => {
+    assert.deepEqual(validateChannel({ id: 'c', name: 'C', type: 'file', filename: 'ops-alerts.log' }), []);
+    assert.match(validateChannel({ id: 'c', name: 'C', type: 'file', filename: 'combined.log' }).join(), /written by the logger/);
+    assert.match(validateChannel({ id: 'c', name: 'C', type: 'file', filename: 'webhooks3.log' }).join(), /written by the logger/);
+    assert.match(validateChannel({ id: 'c', name: 'C', type: 'file', filename: '../escape.log' }).join(), /plain file name/);
+});
+
+test('webhook channel URLs are validated and shown masked', () => {
+    assert.match(validateChannel({ id: 'c', name: 'C', type: 'webhook', url: 'ftp://example.com/x' }).join(), /http\(s\) URL/);
+
+    const shown = toPublicChannel({ id: 'c', type: 'webhook', url: 'https://hooks.slack.com/services/T000/B000/abcdefghijklmnop' });
+    assert.ok(shown.url.startsWith('https://hooks.slack.com'));
+    assert.doesNotMatch(shown.url, /abcdefghijklmnop/);
+});
@@ -0,0 +1,94 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { logsDir } from '../logger.js';
+import * as metrics from '../services/metrics.js';
+import { listRules, createRule, patchRule } from '../services/alertRules.js';
+import { createChannel } from '../services/alertChannels.js';
+import { evaluateAlerts, listAlerts } from '../services/alerting.js';
+
+const alertsLog = path.join(logsDir, 'alerts.log');
+const notices = () => (fs.existsSync(alertsLog)
+    ? fs.readFileSync(alertsLog, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line))
+    : []);
+const alertFor = (ruleId) => listAlerts({ ruleId })[0];
+const failForwards = (system, count) => metrics.forwards.inc({ system, outcome: 'failure' }, count);
+
+before(async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    // Only the rules made here are evaluated
+    listRules().forEach(rule => patchRule(rule.id, { enabled: false }));
+    createChannel({ id: 'unreachable', name: 'Unreachable', type: 'webhook', url: 'http://127.0.0.1:1/hook', format: 'json' });
+    createRule({ id: 'tickets-failing', name: 'Tickets failing', type: 'forward_failures', systemId: 'tickets', threshold: 3, windowMinutes: 1, throttleMinutes: 5, channels: ['alerts-file'] });
+    await evaluateAlerts();
+});
+after(() => mock.timers.reset());
+
+test('an alert fires once the threshold is reached within the window and is announced', async () => {
+    failForwards('tickets', 2);
+    await evaluateAlerts();
+    assert.equal(alertFor('tickets-failing'), undefined);
+
+    failForwards('tickets', 1);
+    await evaluateAlerts();
+
+    const alert = alertFor('tickets-failing');
+    assert.equal(alert.status, 'firing');
+    assert.equal(alert.value, 3);
+    assert.equal(alert.announced, true);
+    assert.deepEqual(notices().map(n => [n.ruleId, n.state, n.reminder]), [['tickets-failing', 'firing', false]]);
+});
+
+test('a firing alert is not announced again until throttleMinutes have passed', async () => {
+    failForwards('tickets', 3);
+    mock.timers.tick(30000);
+    await evaluateAlerts();
+    assert.equal(notices().length, 1);
+
+    failForwards('tickets', 3);
+    mock.timers.tick(5 * 60000);
+    await evaluateAlerts();
+    assert.deepEqual(notices().map(n => [n.state, n.reminder]), [['firing', false], ['firing', true]]);
+});
+
+test('the alert resolves once the window holds fewer failures, and says so', async () => {
+    mock.timers.tick(61000);
+    await evaluateAlerts();
+
+    const alert = alertFor('tickets-failing');
+    assert.equal(alert.status, 'resolved');
+    assert.equal(alert.resolvedBy, 'condition_cleared');
+    assert.equal(notices().at(-1).state, 'resolved');
+
+    failForwards('tickets', 3);
+    await evaluateAlerts();
+    assert.equal(alertFor('tickets-failing').status, 'firing');
+    assert.equal(alertFor('tickets-failing').occurrences, 2);
+});
+
+test('a notice no channel accepted is retried on the next round', async () => {
+    createRule({ id: 'billing-failing', name: 'Billing failing', type: 'forward_failures', systemId: 'billing', threshold: 1, windowMinutes: 1, channels: ['unreachable'] });
+    failForwards('billing', 1);
+    await evaluateAlerts();
+
+    assert.equal(alertFor('billing-failing').status, 'firing');
+    assert.equal(alertFor('billing-failing').announced, false);
+    assert.equal(alertFor('billing-failing').lastNotifiedAt, null);
+
+    patchRule('billing-failing', { channels: ['alerts-file'] });
+    await evaluateAlerts();
+
+    assert.equal(alertFor('billing-failing').announced, true);
+    assert.equal(notices().filter(n => n.ruleId === 'billing-failing').length, 1);
+});
+
+test('disabling a rule closes its alerts without a notice', async () => {
+    const before = notices().length;
+    patchRule('billing-failing', { enabled: false });
+    await evaluateAlerts();
+
+    assert.equal(alertFor('billing-failing').status, 'resolved');
+    assert.equal(alertFor('billing-failing').resolvedBy, 'rule_changed');
+    assert.equal(notices().length, before);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The bootstrap key is read when the module loads
+process.env.ADMIN_BOOTSTRAP_KEY = 'break-glass';
+const { createApiKey, authenticateKey, revokeApiKey, scopeAllows, getApiKey } = await import('../services/apiKeys.js');
+const { recordAudit, listAudit } = await import('../services/audit.js');
+
+test('an issued key authenticates to its record without the hash', () => {
+    const { key, plaintext } = createApiKey({ name: 'ops', scope: 'operator' });
+
+    assert.match(plaintext, new RegExp(`^wd_${key.id}_`));
+    assert.deepEqual(authenticateKey(plaintext), key);
+    assert.equal(authenticateKey(plaintext).hash, undefined);
+});
+
+test('unknown, malformed and tampered keys do not authenticate', () => {
+    const { key, plaintext } = createApiKey({ name: 'ops', scope: 'operator' });
+
+    assert.equal(authenticateKey('wd_0123456789ab_not-a-real-secret'), null);
+    assert.equal(authenticateKey(`wd_${key.id}_${'x'.repeat(32)}`), null);
+    assert.equal(authenticateKey(`${plaintext}x`), null);
+    assert.equal(authenticateKey('garbage'), null);
+    assert.equal(authenticateKey(''), null);
+    assert.equal(authenticateKey(undefined), null);
+});
+
+test('a revoked key stops authenticating and cannot be revoked twice', () => {
+    const { key, plaintext } = createApiKey({ name: 'leaked', scope: 'admin' });
+
+    assert.ok(revokeApiKey(key.id).revokedAt);
+    assert.equal(authenticateKey(plaintext), null);
+    assert.equal(revokeApiKey(key.id), null);
+    assert.ok(getApiKey(key.id).revokedAt);
+});
+
+test('scopes are ordered read < operator < admin', () => {
+    assert.equal(scopeAllows('read', 'admin'), false);
+    assert.equal(scopeAllows('read', 'operator'), false);
+    assert.equal(scopeAllows('operator', 'admin'), false);
+    assert.equal(scopeAllows('operator', 'read'), true);
+    assert.equal(scopeAllows('admin', 'admin'), true);
+    assert.equal(scopeAllows('read', 'read'), true);
+});
+
+test('ADMIN_BOOTSTRAP_KEY authenticates as an admin key that is not in the journal', () => {
+    assert.deepEqual(authenticateKey('break-glass'), { id: 'bootstrap', name: 'ADMIN_BOOTSTRAP_KEY', scope: 'admin' });
+    assert.equal(authenticateKey('break-glass '), null);
+    assert.equal(getApiKey('bootstrap'), null);
+    assert.equal(revokeApiKey('bootstrap'), null);
+});
+
+test('audit records name the key but never hold the presented secret or its hash', () => {
+    const { plaintext } = createApiKey({ name: 'auditor', scope: 'admin' });
+    const apiKey = authenticateKey(plaintext);
+
+    const record = recordAudit({
+        requestId: 'req-audit',
+        apiKey,
+        ip: '127.0.0.1',
+        method: 'POST',
+        path: '/admin/systems',
+        statusCode: 201,
+        action: 'system.create',
+        target: 'tickets'
+    });
+
+    assert.equal(record.keyId, apiKey.id);
+    assert.equal(record.keyName, 'auditor');
+    assert.equal(record.scope, 'admin');
+    assert.ok(!JSON.stringify(record).includes(plaintext));
+    assert.ok(!JSON.stringify(record).includes(plaintext.slice(`wd_${apiKey.id}_`.length)));
+    assert.deepEqual(listAudit({ keyId: apiKey.id }).map(r => r.id), [record.id]);
+});
@@ -0,0 +1,102 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    canRequest,
+    wouldAllowRequest,
+    recordSuccess,
+    recordFailure,
+    releaseTrial,
+    retryAfter,
+    getBreakerState
+} from '../services/circuitBreakers.js';
+
+let nextId = 0;
+const newSystem = () => ({ id: `system-${++nextId}`, circuitBreaker: { failureThreshold: 3, cooldownMs: 1000 } });
+
+function openBreaker(system) {
+    for (let i = 0; i < 3; i++) recordFailure(system, 'test_failure');
+}
+
+test('opens after the failure threshold and refuses calls during the cool-down', () => {
+    const system = newSystem();
+
+    recordFailure(system, 'test_failure');
+    recordFailure(system, 'test_failure');
+    assert.equal(getBreakerState(system).state, 'closed');
+    assert.equal(canRequest(system), true);
+
+    recordFailure(system, 'test_failure');
+    assert.equal(getBreakerState(system).state, 'open');
+    assert.equal(canRequest(system), false);
+    assert.ok(retryAfter(system) > new Date());
+});
+
+test('a success resets the failure count', () => {
+    const system = newSystem();
+
+    recordFailure(system, 'test_failure');
+    recordFailure(system, 'test_failure');
+    recordSuccess(system);
+    recordFailure(system, 'test_failure');
+
+    assert.equal(getBreakerState(system).state, 'closed');
+    assert.equal(getBreakerState(system).consecutiveFailures, 1);
+});
+
+test('half-open lets exactly one trial through; its outcome closes or re-opens the breaker', (t) => {
+    t.after(() => mock.timers.reset());
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    const closing = newSystem();
+    const reopening = newSystem();
+    openBreaker(closing);
+    openBreaker(reopening);
+    mock.timers.tick(1000);
+
+    assert.equal(canRequest(closing), true);
+    assert.equal(getBreakerState(closing).state, 'half_open');
+    assert.equal(canRequest(closing), false);
+    recordSuccess(closing);
+    assert.equal(getBreakerState(closing).state, 'closed');
+    assert.equal(canRequest(closing), true);
+
+    assert.equal(canRequest(reopening), true);
+    recordFailure(reopening, 'trial_failed');
+    assert.equal(getBreakerState(reopening).state, 'open');
+    assert.equal(canRequest(reopening), false);
+});
+
+test('releaseTrial gives the trial slot back without changing state', (t) => {
+    t.after(() => mock.timers.reset());
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    const system = newSystem();
+    openBreaker(system);
+    mock.timers.tick(1000);
+
+    assert.equal(canRequest(system), true);
+    assert.equal(canRequest(system), false);
+
+    releaseTrial(system);
+    assert.equal(getBreakerState(system).state, 'half_open');
+    assert.equal(canRequest(system), true);
+});
+
+test('wouldAllowRequest answers like canRequest without moving the breaker', (t) => {
+    t.after(() => mock.timers.reset());
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    const system = newSystem();
+    assert.equal(wouldAllowRequest(system), true);
+
+    openBreaker(system);
+    assert.equal(wouldAllowRequest(system), false);
+
+    mock.timers.tick(1000);
+    assert.equal(wouldAllowRequest(system), true);
+    assert.equal(wouldAllowRequest(system), true);
+    assert.equal(getBreakerState(system).state, 'open');
+
+    assert.equal(canRequest(system), true);
+    assert.equal(wouldAllowRequest(system), false);
+});
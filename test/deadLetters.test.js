@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    addDeadLetter,
+    getDeadLetter,
+    listDeadLetters,
+    markReplayed,
+    purgeDeadLetterPayloads,
+    discardDeadLetter,
+    getDeadLetterStats
+} from '../services/deadLetters.js';
+
+const park = (overrides = {}) => addDeadLetter({
+    reason: 'no_system_found',
+    requestId: 'req-1',
+    provider: 'paystack',
+    event: 'charge.success',
+    reference: 'REF-DL',
+    payload: { event: 'charge.success', data: { reference: 'REF-DL' } },
+    rawBody: '{}',
+    headers: {},
+    ...overrides
+});
+
+test('a parked event keeps its full payload and starts open', () => {
+    const deadLetter = park();
+
+    assert.equal(deadLetter.status, 'open');
+    assert.deepEqual(getDeadLetter(deadLetter.id).payload.data, { reference: 'REF-DL' });
+    assert.deepEqual(deadLetter.replays, []);
+});
+
+test('listing filters by target, reason and reference', () => {
+    const forSubscriber = park({ reason: 'retries_exhausted', subscriberId: 'ledger', reference: 'REF-SUB' });
+    park({ reason: 'retries_exhausted', systemId: 'tickets', reference: 'REF-SYS' });
+
+    assert.deepEqual(listDeadLetters({ subscriberId: 'ledger' }).map(d => d.id), [forSubscriber.id]);
+    assert.ok(listDeadLetters({ reason: 'retries_exhausted' }).length >= 2);
+    assert.equal(listDeadLetters({ reference: 'REF-SYS', systemId: 'tickets' }).length, 1);
+    assert.equal(listDeadLetters({ provider: 'stripe' }).length, 0);
+});
+
+test('replays are recorded in order and mark the dead letter replayed', () => {
+    const deadLetter = park();
+
+    markReplayed(deadLetter.id, { requestId: 'req-2', deliveryId: 'd-1', deliveryStatus: 'retrying' });
+    const replayed = markReplayed(deadLetter.id, { requestId: 'req-3', deliveryId: 'd-2', deliveryStatus: 'delivered' });
+
+    assert.equal(replayed.status, 'replayed');
+    assert.deepEqual(replayed.replays.map(r => r.deliveryId), ['d-1', 'd-2']);
+    assert.equal(markReplayed('missing', {}), null);
+});
+
+test('purging drops payloads older than the cutoff but keeps the record', () => {
+    const deadLetter = park();
+
+    assert.ok(purgeDeadLetterPayloads(new Date(Date.now() + 60000).toISOString()) >= 1);
+
+    const purged = getDeadLetter(deadLetter.id);
+    assert.equal(purged.payload, null);
+    assert.equal(purged.rawBody, null);
+    assert.ok(purged.payloadPurgedAt);
+});
+
+test('discarding removes the dead letter', () => {
+    const deadLetter = park();
+    const total = getDeadLetterStats().total;
+
+    assert.equal(discardDeadLetter(deadLetter.id), true);
+    assert.equal(getDeadLetter(deadLetter.id), undefined);
+    assert.equal(discardDeadLetter(deadLetter.id), false);
+    assert.equal(getDeadLetterStats().total, total - 1);
+});
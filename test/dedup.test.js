@@ -0,0 +1,68 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+// A store left behind by a run that crashed: one settled claim, one still "processing"
+const seenAt = new Date().toISOString();
+const expiresAt = new Date(Date.now() + 3600000).toISOString();
+fs.mkdirSync(process.env.DATA_DIR, { recursive: true });
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'dedup.jsonl'), [
+    { id: 'paystack:charge.success:settled', requestId: 'old-1', outcome: { statusCode: 200, body: { success: true } }, duplicates: 0, firstSeenAt: seenAt, expiresAt },
+    { id: 'paystack:charge.success:crashed', requestId: 'old-2', outcome: null, duplicates: 0, firstSeenAt: seenAt, expiresAt }
+].map(record => JSON.stringify(record) + '\n').join(''));
+
+process.env.DEDUP_PROCESSING_TIMEOUT_MS = '1000';
+const { buildEventKey, claimEvent, recordOutcome, releaseEvent, getDedupStats } = await import('../services/dedup.js');
+
+test('event keys prefer the provider event id, then the reference, then a body hash', () => {
+    assert.equal(buildEventKey('paystack', 'charge.success', 'evt_1', 'ref-1', '{}'), 'paystack:charge.success:evt_1');
+    assert.equal(buildEventKey('paystack', 'charge.success', undefined, 'ref-1', '{}'), 'paystack:charge.success:ref-1');
+    assert.match(buildEventKey('paystack', 'charge.success', undefined, undefined, '{}'), /^paystack:charge\.success:sha256:[0-9a-f]{64}$/);
+    assert.notEqual(buildEventKey('paystack', 'e', null, null, '{"a":1}'), buildEventKey('paystack', 'e', null, null, '{"a":2}'));
+});
+
+test('the first copy claims the key and later copies get the recorded outcome', () => {
+    const key = buildEventKey('paystack', 'charge.success', 'evt_claim', null);
+
+    assert.equal(claimEvent(key, 'req-1'), null);
+    recordOutcome(key, 200, { success: true });
+
+    const duplicate = claimEvent(key, 'req-2');
+    assert.equal(duplicate.requestId, 'req-1');
+    assert.deepEqual(duplicate.outcome, { statusCode: 200, body: { success: true } });
+    assert.equal(claimEvent(key, 'req-3').duplicates, 1);
+    assert.ok(getDedupStats().suppressed_duplicates >= 2);
+});
+
+test('a released key is handled as new again', () => {
+    const key = buildEventKey('paystack', 'charge.success', 'evt_release', null);
+
+    claimEvent(key, 'req-1');
+    releaseEvent(key);
+
+    assert.equal(claimEvent(key, 'req-2'), null);
+});
+
+test('claims left unsettled by a previous run are dropped when the store loads', () => {
+    assert.equal(claimEvent('paystack:charge.success:crashed', 'req-1'), null);
+    assert.equal(claimEvent('paystack:charge.success:settled', 'req-2').requestId, 'old-1');
+});
+
+test('a claim never settled within the processing timeout can be taken over by a retry', (t) => {
+    t.after(() => mock.timers.reset());
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const key = buildEventKey('paystack', 'charge.success', 'evt_stuck', null);
+
+    assert.equal(claimEvent(key, 'req-1'), null);
+    mock.timers.tick(500);
+    assert.equal(claimEvent(key, 'req-2').requestId, 'req-1');
+
+    mock.timers.tick(600);
+    assert.equal(claimEvent(key, 'req-3'), null);
+
+    // Settled claims are kept for the whole retention window
+    recordOutcome(key, 202, { queued: true });
+    mock.timers.tick(60000);
+    assert.equal(claimEvent(key, 'req-4').requestId, 'req-3');
+});
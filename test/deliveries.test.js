@@ -0,0 +1,143 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createDelivery,
+    getDelivery,
+    findSubscriberCopy,
+    attemptDelivery,
+    markFiltered,
+    computeBackoff,
+    pruneDeliveries,
+    purgeDeliveryPayloads,
+    inFlightDeliveries,
+    startRetryWorker
+} from '../services/deliveries.js';
+
+const system = { id: 'tickets' };
+const inAMinute = () => new Date(Date.now() + 60000).toISOString();
+
+const newDelivery = (overrides = {}) => createDelivery({
+    requestId: 'req-1',
+    system,
+    provider: 'paystack',
+    event: 'charge.success',
+    reference: 'ref-1',
+    payload: { event: 'charge.success', data: { reference: 'ref-1', customer: { email: 'ada@example.com' } } },
+    rawBody: '{}',
+    headers: {},
+    ...overrides
+});
+
+test('computeBackoff stays within the upper half of the doubling window (30s base)', () => {
+    for (let attempt = 1; attempt <= 6; attempt++) {
+        const window = 30000 * 2 ** (attempt - 1);
+        const delay = computeBackoff(attempt);
+        assert.ok(delay >= window / 2 && delay <= window, `attempt ${attempt}: ${delay}ms`);
+    }
+});
+
+test('a failed attempt schedules a retry and a successful one settles the delivery', async () => {
+    const delivery = newDelivery();
+
+    const { delivery: retrying } = await attemptDelivery(delivery, async () => ({ success: false, status: 502, error: 'Bad Gateway' }));
+    assert.equal(retrying.status, 'retrying');
+    assert.equal(retrying.attempts, 1);
+    assert.ok(Date.parse(retrying.nextAttemptAt) > Date.now());
+
+    const { delivery: delivered } = await attemptDelivery(retrying, async () => ({ success: true, status: 200 }));
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(delivered.attempts, 2);
+    assert.equal(delivered.nextAttemptAt, null);
+});
+
+test('a deferred result counts no attempt', async () => {
+    const deferredUntil = inAMinute();
+    const { delivery } = await attemptDelivery(newDelivery(), async () => ({ success: false, status: 'circuit_open', deferredUntil }));
+
+    assert.equal(delivery.status, 'retrying');
+    assert.equal(delivery.attempts, 0);
+    assert.equal(delivery.nextAttemptAt, deferredUntil);
+});
+
+test('the last failed attempt marks the delivery failed', async () => {
+    let delivery = newDelivery();
+    while (delivery.status !== 'failed') {
+        ({ delivery } = await attemptDelivery(delivery, async () => ({ success: false, status: 500, error: 'boom' })));
+    }
+    assert.equal(delivery.attempts, delivery.maxAttempts);
+    assert.equal(delivery.nextAttemptAt, null);
+});
+
+test('settled deliveries keep a redacted copy of the payload', () => {
+    const filtered = markFiltered(newDelivery());
+
+    assert.equal(filtered.payloadRedacted, true);
+    assert.notEqual(filtered.payload.data.customer.email, 'ada@example.com');
+    assert.equal(filtered.rawBody, null);
+});
+
+test('purgeDeliveryPayloads drops payloads of settled deliveries only', () => {
+    const settled = markFiltered(newDelivery());
+    const pending = newDelivery();
+
+    purgeDeliveryPayloads(inAMinute());
+
+    assert.equal(getDelivery(settled.id).payload, null);
+    assert.ok(getDelivery(settled.id).payloadPurgedAt);
+    assert.notEqual(getDelivery(pending.id).payload, null);
+});
+
+test('pruneDeliveries deletes settled records older than the cutoff and keeps the rest', () => {
+    const settled = markFiltered(newDelivery());
+    const pending = newDelivery();
+
+    assert.equal(pruneDeliveries(new Date(Date.now() - 60000).toISOString()), 0);
+    assert.ok(getDelivery(settled.id));
+
+    assert.ok(pruneDeliveries(inAMinute()) >= 1);
+    assert.equal(getDelivery(settled.id), undefined);
+    assert.ok(getDelivery(pending.id));
+});
+
+test('findSubscriberCopy finds the fan-out copy of an event until it is pruned', () => {
+    const eventKey = 'paystack:charge.success:ref-copy';
+    const copy = newDelivery({ system: undefined, subscriber: { id: 'ledger' }, eventKey });
+
+    assert.equal(findSubscriberCopy(eventKey, 'ledger').id, copy.id);
+    assert.equal(findSubscriberCopy(eventKey, 'crm'), undefined);
+    assert.equal(findSubscriberCopy('paystack:charge.success:ref-other', 'ledger'), undefined);
+
+    markFiltered(copy);
+    pruneDeliveries(inAMinute());
+    assert.equal(findSubscriberCopy(eventKey, 'ledger'), undefined);
+});
+
+test('a stopped retry worker finishes the attempt under way and leaves the rest journaled', async (t) => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    t.after(() => mock.timers.reset());
+
+    newDelivery();
+    newDelivery();
+
+    const attempted = [];
+    let finishAttempt = null;
+    const stop = startRetryWorker(delivery => {
+        attempted.push(delivery.id);
+        return new Promise(resolve => { finishAttempt = resolve; });
+    });
+
+    mock.timers.tick(5000);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(attempted.length, 1);
+    assert.deepEqual(inFlightDeliveries(), attempted);
+
+    stop();
+    finishAttempt({ success: true, status: 200 });
+    await new Promise(resolve => setImmediate(resolve));
+    mock.timers.tick(5000);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(attempted.length, 1);
+    assert.equal(getDelivery(attempted[0]).status, 'delivered');
+    assert.deepEqual(inFlightDeliveries(), []);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectClaims } from '../services/discovery.js';
+
+const WINDOW_MS = 50;
+
+// answers: system id -> [delay in ms, claims?]; records which probes saw their signal abort
+function fakeProbe(answers) {
+    const aborted = new Set();
+    const probe = (system, signal) => new Promise(resolve => {
+        const [delay, claims] = answers[system.id];
+        const timer = setTimeout(() => resolve(claims), delay);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            aborted.add(system.id);
+            resolve(false);
+        });
+    });
+    return { probe, aborted };
+}
+
+const ids = ({ claimants }) => claimants.map(s => s.id);
+
+test('a lower-priority claim waits for every higher-priority system to answer', async () => {
+    const candidates = [{ id: 'first', priority: 10 }, { id: 'second', priority: 20 }];
+    const { probe } = fakeProbe({ first: [30, true], second: [0, true] });
+
+    const result = await collectClaims(candidates, probe, { ambiguityWindowMs: WINDOW_MS });
+
+    assert.deepEqual(ids(result), ['first']);
+});
+
+test('a higher-priority claim settles at once and aborts lower-priority probes', async () => {
+    const candidates = [{ id: 'first', priority: 10 }, { id: 'slow', priority: 20 }];
+    const { probe, aborted } = fakeProbe({ first: [0, true], slow: [1000, true] });
+
+    const started = Date.now();
+    const result = await collectClaims(candidates, probe, { ambiguityWindowMs: WINDOW_MS });
+
+    assert.deepEqual(ids(result), ['first']);
+    assert.deepEqual(result.unanswered, ['slow']);
+    assert.ok(aborted.has('slow'));
+    assert.ok(Date.now() - started < 500);
+});
+
+test('a lower-priority claim wins when the higher-priority systems say no', async () => {
+    const candidates = [{ id: 'first', priority: 10 }, { id: 'second', priority: 20 }];
+    const { probe } = fakeProbe({ first: [20, false], second: [0, true] });
+
+    assert.deepEqual(ids(await collectClaims(candidates, probe, { ambiguityWindowMs: WINDOW_MS })), ['second']);
+});
+
+test('same-priority claims within the ambiguity window are all returned', async () => {
+    const candidates = [{ id: 'a', priority: 10 }, { id: 'b', priority: 10 }];
+    const { probe } = fakeProbe({ a: [0, true], b: [WINDOW_MS / 2, true] });
+
+    assert.deepEqual(ids(await collectClaims(candidates, probe, { ambiguityWindowMs: WINDOW_MS })), ['a', 'b']);
+});
+
+test('a same-priority system that has not claimed when the window closes is aborted', async () => {
+    const candidates = [{ id: 'a', priority: 10 }, { id: 'b', priority: 10 }];
+    const { probe, aborted } = fakeProbe({ a: [0, true], b: [WINDOW_MS * 10, true] });
+
+    const result = await collectClaims(candidates, probe, { ambiguityWindowMs: WINDOW_MS });
+
+    assert.deepEqual(ids(result), ['a']);
+    assert.deepEqual(result.unanswered, ['b']);
+    assert.ok(aborted.has('b'));
+});
+
+test('nobody claiming settles with no claimants once every system answered', async () => {
+    const candidates = [{ id: 'a', priority: 10 }, { id: 'b', priority: 20 }];
+    const { probe } = fakeProbe({ a: [0, false], b: [10, false] });
+
+    const result = await collectClaims(candidates, probe, { ambiguityWindowMs: WINDOW_MS });
+
+    assert.deepEqual(result, { claimants: [], unanswered: [] });
+});
+
+test('no candidates settles straight away', async () => {
+    assert.deepEqual(await collectClaims([], () => assert.fail('nothing to probe')), { claimants: [], unanswered: [] });
+});
@@ -0,0 +1,50 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../logger.js';
+
+// Read when the module loads
+process.env.DISPATCH_CONCURRENCY = '2';
+process.env.ACK_MODE_EVENTS = 'charge.*=async, charge.failed=sync, transfer.success=later';
+const { ackModeFor, enqueueDispatch, startDispatchQueue, activeDispatches, getDispatchQueueStats } = await import('../services/dispatchQueue.js');
+
+test('ack-mode overrides prefer exact events over families and ignore unknown modes', () => {
+    assert.equal(ackModeFor('charge.success'), 'async');
+    assert.equal(ackModeFor('charge.failed'), 'sync');
+    assert.equal(ackModeFor('transfer.success'), 'sync');
+    assert.equal(ackModeFor('refund.processed'), 'sync');
+    assert.deepEqual(getDispatchQueueStats().eventOverrides, { 'charge.failed': 'sync', 'charge.*': 'async' });
+});
+
+test('the pool resumes leftovers first, caps concurrency and survives a failing job', async () => {
+    const logError = mock.method(logger, 'error', () => {});
+    const started = [];
+    const finish = new Map();
+    const stop = startDispatchQueue(deliveryId => {
+        started.push(deliveryId);
+        return new Promise((resolve, reject) => finish.set(deliveryId, { resolve, reject }));
+    }, ['left-1']);
+
+    enqueueDispatch('new-1');
+    enqueueDispatch('new-2');
+
+    assert.deepEqual(started, ['left-1', 'new-1']);
+    assert.equal(activeDispatches(), 2);
+    assert.equal(getDispatchQueueStats().queued, 1);
+
+    finish.get('left-1').reject(new Error('boom'));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(started, ['left-1', 'new-1', 'new-2']);
+    assert.equal(logError.mock.calls[0].arguments[1].type, 'dispatch_worker_error');
+
+    // Once stopped, queued ids wait for the next start instead of running
+    stop();
+    enqueueDispatch('after-stop');
+    finish.get('new-1').resolve();
+    finish.get('new-2').resolve();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(started, ['left-1', 'new-1', 'new-2']);
+    assert.equal(activeDispatches(), 0);
+    assert.equal(getDispatchQueueStats().queued, 1);
+    logError.mock.restore();
+});
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+process.env.HEALTH_CHECK_TIMEOUT_MS = '1000';
+const { runHealthChecks, getHealthSnapshot, getHealthHistory } = await import('../services/healthMonitor.js');
+const { listSystems, createSystem, patchSystem, deleteSystem } = await import('../services/systems.js');
+
+// Answers /health with whatever status the test last set for the system in the path prefix
+const statuses = { up: 200, flaky: 200 };
+const server = http.createServer((req, res) => {
+    res.statusCode = statuses[req.url.split('/')[1]] ?? 404;
+    res.end();
+});
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Only local systems: the seeded defaults point at real hosts
+    listSystems().forEach(system => deleteSystem(system.id));
+    createSystem({ id: 'up', name: 'Up', baseUrl, healthCheck: '/up/health' });
+    createSystem({ id: 'flaky', name: 'Flaky', baseUrl, healthCheck: '/flaky/health', circuitBreaker: { failureThreshold: 10 } });
+});
+
+after(() => server.close());
+
+test('each round records every system as healthy or unhealthy', async () => {
+    await runHealthChecks();
+    statuses.flaky = 503;
+    await runHealthChecks();
+
+    const snapshot = getHealthSnapshot();
+    const byId = Object.fromEntries(snapshot.systems.map(s => [s.id, s]));
+
+    assert.ok(snapshot.lastRoundAt);
+    assert.equal(byId.up.status, 'healthy');
+    assert.equal(byId.flaky.status, 'unhealthy');
+    assert.match(byId.flaky.error, /503/);
+});
+
+test('history reports uptime over the samples taken', () => {
+    const flaky = getHealthHistory('flaky');
+
+    assert.equal(flaky.totalSamples, 2);
+    assert.equal(flaky.uptime.last_1h, 50);
+    assert.equal(getHealthHistory('up').uptime.window, 100);
+    assert.equal(getHealthHistory('flaky', { limit: 1 }).samples[0].status, 'unhealthy');
+    assert.deepEqual(getHealthHistory('unknown'), { uptime: { last_1h: null, last_24h: null, window: null }, totalSamples: 0, samples: [] });
+});
+
+test('systems removed from the registry lose their history; disabled ones are still probed', async () => {
+    patchSystem('up', { enabled: false });
+    deleteSystem('flaky');
+    await runHealthChecks();
+
+    assert.equal(getHealthHistory('flaky').totalSamples, 0);
+    assert.equal(getHealthHistory('up').totalSamples, 3);
+    assert.deepEqual(getHealthSnapshot().systems.map(s => [s.id, s.enabled]), [['up', false]]);
+});
@@ -0,0 +1,90 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { logsDir } from '../logger.js';
+import { readWebhookLogs, encodeCursor, decodeCursor, isLevel } from '../services/logQuery.js';
+
+const entry = (n, overrides = {}) => JSON.stringify({
+    level: 'info',
+    message: `entry ${n}`,
+    type: 'webhook_received',
+    requestId: `req-${n}`,
+    reference: n % 2 === 0 ? 'REF-EVEN' : 'REF-ODD',
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, n)).toISOString(),
+    ...overrides
+});
+
+// Entries 1-3 in the rotated webhooks1.log, 4-6 (plus a torn line) in the live webhooks.log
+before(() => {
+    const rotated = path.join(logsDir, 'webhooks1.log');
+    fs.writeFileSync(rotated, [1, 2, 3].map(n => entry(n)).join('\n') + '\n');
+    fs.utimesSync(rotated, new Date('2026-01-01T00:00:03Z'), new Date('2026-01-01T00:00:03Z'));
+
+    fs.writeFileSync(path.join(logsDir, 'webhooks.log'), [
+        entry(4),
+        entry(5, { level: 'warn', target_system: 'tickets' }),
+        entry(6, { level: 'error' }),
+        '{"level":"info","mess'
+    ].join('\n'));
+});
+
+// One page the way GET /admin/logs/webhooks reads it: limit entries plus a cursor if more remain
+async function readPage(filters, limit, cursor) {
+    const after = cursor ? decodeCursor(cursor) : null;
+    const messages = [];
+    let lastPosition = null;
+    for await (const { entry, position } of readWebhookLogs(filters, { after })) {
+        if (messages.length === limit) return { messages, nextCursor: encodeCursor(lastPosition) };
+        messages.push(entry.message);
+        lastPosition = position;
+    }
+    return { messages, nextCursor: null };
+}
+
+test('entries come newest first across rotations, skipping torn lines', async () => {
+    const { messages } = await readPage({}, 100);
+    assert.deepEqual(messages, ['entry 6', 'entry 5', 'entry 4', 'entry 3', 'entry 2', 'entry 1']);
+});
+
+test('cursor paging walks every entry once, across the rotation boundary', async () => {
+    const pages = [];
+    let cursor = null;
+    do {
+        const page = await readPage({}, 4, cursor);
+        pages.push(page.messages);
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(pages, [['entry 6', 'entry 5', 'entry 4', 'entry 3'], ['entry 2', 'entry 1']]);
+});
+
+test('cursor paging keeps applying the filters', async () => {
+    const first = await readPage({ reference: 'REF-EVEN' }, 2);
+    assert.deepEqual(first.messages, ['entry 6', 'entry 4']);
+
+    const second = await readPage({ reference: 'REF-EVEN' }, 2, first.nextCursor);
+    assert.deepEqual(second.messages, ['entry 2']);
+    assert.equal(second.nextCursor, null);
+});
+
+test('level is a floor and systemId, from and to narrow the entries', async () => {
+    assert.deepEqual((await readPage({ level: 'warn' }, 100)).messages, ['entry 6', 'entry 5']);
+    assert.deepEqual((await readPage({ systemId: 'tickets' }, 100)).messages, ['entry 5']);
+    assert.deepEqual((await readPage({ from: '2026-01-01T00:00:02Z', to: '2026-01-01T00:00:04Z' }, 100)).messages, ['entry 4', 'entry 3', 'entry 2']);
+});
+
+test('a cursor pointing at a rotated-away file ends the listing', async () => {
+    const { messages } = await readPage({}, 100, encodeCursor({ file: 'webhooks9.log', line: 3 }));
+    assert.deepEqual(messages, []);
+});
+
+test('malformed cursors and unknown levels are rejected', () => {
+    assert.equal(decodeCursor('not-a-cursor'), null);
+    assert.equal(decodeCursor(encodeCursor({ file: '../../etc/passwd', line: 1 })), null);
+    assert.equal(decodeCursor(encodeCursor({ file: 'webhooks.log', line: '1' })), null);
+    assert.deepEqual(decodeCursor(encodeCursor({ file: 'webhooks2.log', line: 7 })), { file: 'webhooks2.log', line: 7 });
+
+    assert.equal(isLevel('warn'), true);
+    assert.equal(isLevel('loud'), false);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as metrics from '../services/metrics.js';
+
+test('the registry renders dispatcher series with the service label', async () => {
+    metrics.forwards.inc({ system: 'tickets', outcome: 'failure' });
+    metrics.circuitOpen.set({ system: 'tickets' }, 1);
+
+    const text = await metrics.registry.metrics();
+
+    assert.match(metrics.registry.contentType, /^text\/plain/);
+    assert.match(text, /dispatcher_forwards_total\{system="tickets",outcome="failure",service="webhook-dispatcher"\} 1/);
+    assert.match(text, /dispatcher_circuit_open\{system="tickets",service="webhook-dispatcher"\} 1/);
+    assert.match(text, /dispatcher_process_cpu_seconds_total/);
+});
+
+test('removing a label set drops its series', async () => {
+    metrics.circuitOpen.set({ system: 'retired' }, 0);
+    metrics.circuitOpen.remove({ system: 'retired' });
+
+    assert.doesNotMatch(await metrics.registry.metrics(), /system="retired"/);
+});
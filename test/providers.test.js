@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProvider } from '../providers/index.js';
+import { computeHmac } from '../services/signatures.js';
+
+const hubtel = getProvider('hubtel').adapter;
+const paystack = getProvider('paystack').adapter;
+const stripe = getProvider('stripe').adapter;
+
+// Just enough of an Express request for verifySignature
+const request = (headers, rawBody) => ({
+    get: (name) => headers[name.toLowerCase()],
+    rawBody: Buffer.from(rawBody)
+});
+
+const rawBody = JSON.stringify({ event: 'charge.success', data: { reference: 'ref-1', amount: 5000 } });
+const stripeHeader = (secret, timestamp, body = rawBody) => `t=${timestamp},v1=${computeHmac('sha256', secret, `${timestamp}.${body}`)}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+test('hubtel events are named after the lower-cased checkout status', () => {
+    const extracted = hubtel.extract({ Data: { Status: 'Success', ClientReference: 'ref-1', CheckoutId: 'chk-1', Amount: 25 } });
+
+    assert.equal(extracted.event, 'checkout.success');
+    assert.equal(extracted.reference, 'ref-1');
+    assert.equal(extracted.eventId, 'chk-1');
+    assert.equal(hubtel.extract({ Status: 'Failed', Data: {} }).event, 'checkout.failed');
+});
+
+test('hubtel bodies without a usable Status give a null event instead of throwing', () => {
+    assert.equal(hubtel.extract({}).event, null);
+    assert.equal(hubtel.extract({ Data: { Status: 5 } }).event, null);
+    assert.equal(hubtel.extract({ Data: { Status: '  ' } }).event, null);
+    assert.equal(hubtel.extract({ Data: null, Status: { code: 1 } }).event, null);
+});
+
+test('hubtel callbacks are verified by the query token', () => {
+    assert.deepEqual(hubtel.verifySignature({ query: {} }, ['tok']), { valid: false, reason: 'missing_signature' });
+    assert.deepEqual(hubtel.verifySignature({ query: { token: 'nope' } }, ['tok']), { valid: false, reason: 'invalid_signature' });
+    assert.deepEqual(hubtel.verifySignature({ query: { token: 'tok2' } }, ['tok', 'tok2']), { valid: true, secretIndex: 1 });
+});
+
+test('paystack accepts an HMAC-SHA512 of the raw body and rejects a tampered one', () => {
+    const signature = computeHmac('sha512', 'sk_new', rawBody);
+    const tampered = rawBody.replace('5000', '500000');
+
+    assert.deepEqual(paystack.verifySignature(request({ 'x-paystack-signature': signature }, rawBody), ['sk_new']), { valid: true, secretIndex: 0 });
+    assert.deepEqual(paystack.verifySignature(request({ 'x-paystack-signature': signature }, tampered), ['sk_new']), { valid: false, reason: 'invalid_signature' });
+    assert.deepEqual(paystack.verifySignature(request({}, rawBody), ['sk_new']), { valid: false, reason: 'missing_signature' });
+});
+
+test('paystack reports which secret matched during a rotation, and nothing matches without one', () => {
+    const signedWithOld = request({ 'x-paystack-signature': computeHmac('sha512', 'sk_old', rawBody) }, rawBody);
+
+    assert.deepEqual(paystack.verifySignature(signedWithOld, ['sk_new', 'sk_old']), { valid: true, secretIndex: 1 });
+    assert.deepEqual(paystack.verifySignature(signedWithOld, []), { valid: false, reason: 'invalid_signature' });
+});
+
+test('stripe accepts a timestamp inside the tolerance and rejects one outside it', () => {
+    const recent = now() - 60;
+    const stale = now() - 301;
+
+    assert.deepEqual(stripe.verifySignature(request({ 'stripe-signature': stripeHeader('whsec_a', recent) }, rawBody), ['whsec_a']), { valid: true, secretIndex: 0 });
+    assert.deepEqual(stripe.verifySignature(request({ 'stripe-signature': stripeHeader('whsec_a', stale) }, rawBody), ['whsec_a']), { valid: false, reason: 'timestamp_out_of_tolerance' });
+    assert.deepEqual(stripe.verifySignature(request({ 'stripe-signature': stripeHeader('whsec_a', now() + 301) }, rawBody), ['whsec_a']), { valid: false, reason: 'timestamp_out_of_tolerance' });
+});
+
+test('stripe accepts a header carrying several v1 signatures if any of them matches', () => {
+    const timestamp = now();
+    const header = `t=${timestamp},v1=${computeHmac('sha256', 'whsec_other', `${timestamp}.${rawBody}`)},v1=${computeHmac('sha256', 'whsec_a', `${timestamp}.${rawBody}`)}`;
+
+    assert.deepEqual(stripe.verifySignature(request({ 'stripe-signature': header }, rawBody), ['whsec_a']), { valid: true, secretIndex: 0 });
+    assert.deepEqual(stripe.verifySignature(request({ 'stripe-signature': header }, rawBody), ['whsec_b']), { valid: false, reason: 'invalid_signature' });
+});
+
+test('stripe rejects a tampered body, a header without v1 and signing under a rotated-out secret', () => {
+    const header = stripeHeader('whsec_old', now());
+
+    assert.deepEqual(stripe.verifySignature(request({ 'stripe-signature': header }, rawBody), ['whsec_new', 'whsec_old']), { valid: true, secretIndex: 1 });
+    assert.deepEqual(stripe.verifySignature(request({ 'stripe-signature': header }, `${rawBody} `), ['whsec_new', 'whsec_old']), { valid: false, reason: 'invalid_signature' });
+    assert.deepEqual(stripe.verifySignature(request({ 'stripe-signature': header }, rawBody), ['whsec_new']), { valid: false, reason: 'invalid_signature' });
+    assert.deepEqual(stripe.verifySignature(request({ 'stripe-signature': `t=${now()}` }, rawBody), ['whsec_new']), { valid: false, reason: 'invalid_signature' });
+});
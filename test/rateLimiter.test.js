@@ -0,0 +1,67 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Limits are read once at import; small buckets keep the tests short
+process.env.WEBHOOK_RATE_LIMIT_PER_IP = '60';
+process.env.WEBHOOK_RATE_BURST_PER_IP = '3';
+process.env.WEBHOOK_RATE_LIMIT_GLOBAL = '120';
+process.env.WEBHOOK_RATE_BURST_GLOBAL = '5';
+process.env.DISCOVERY_MISS_LIMIT_PER_IP = '60';
+process.env.DISCOVERY_MISS_BURST_PER_IP = '2';
+const { takeWebhookToken, checkDiscoveryBudget, recordDiscoveryMiss, getRateLimitStats } = await import('../services/rateLimiter.js');
+
+// Buckets are module state, so after each test the clock moves on until every bucket is full again
+before(() => mock.timers.enable({ apis: ['Date'], now: Date.now() }));
+afterEach(() => mock.timers.tick(60000));
+after(() => mock.timers.reset());
+
+test('an IP gets its burst, then is refused with a retry hint until tokens refill', () => {
+    for (let i = 0; i < 3; i++) assert.equal(takeWebhookToken('10.0.0.1').allowed, true);
+
+    const refused = takeWebhookToken('10.0.0.1');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.limit, 'ip');
+    assert.equal(refused.retryAfterMs, 1000);
+
+    mock.timers.tick(1000);
+    assert.equal(takeWebhookToken('10.0.0.1').allowed, true);
+    assert.equal(takeWebhookToken('10.0.0.1').allowed, false);
+});
+
+test('the global bucket caps all IPs together, and a refused call spends nothing', () => {
+    for (let i = 0; i < 3; i++) assert.equal(takeWebhookToken('10.0.0.2').allowed, true);
+    for (let i = 0; i < 2; i++) assert.equal(takeWebhookToken('10.0.0.3').allowed, true);
+
+    const refused = takeWebhookToken('10.0.0.3');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.limit, 'global');
+
+    // 10.0.0.3 still has its last token: only the global bucket needs to refill
+    mock.timers.tick(500);
+    assert.equal(takeWebhookToken('10.0.0.3').allowed, true);
+});
+
+test('discovery misses are charged separately and only block once the budget is spent', () => {
+    assert.equal(checkDiscoveryBudget('10.0.0.4').allowed, true);
+    recordDiscoveryMiss('10.0.0.4');
+    assert.equal(checkDiscoveryBudget('10.0.0.4').allowed, true);
+    recordDiscoveryMiss('10.0.0.4');
+
+    const refused = checkDiscoveryBudget('10.0.0.4');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.limit, 'discovery_miss');
+    assert.equal(takeWebhookToken('10.0.0.4').allowed, true);
+
+    recordDiscoveryMiss('10.0.0.4');
+    mock.timers.tick(1000);
+    assert.equal(checkDiscoveryBudget('10.0.0.4').allowed, true);
+});
+
+test('stats report the configured limits and exhausted keys', () => {
+    for (let i = 0; i < 3; i++) takeWebhookToken('10.0.0.5');
+
+    const stats = getRateLimitStats();
+    assert.equal(stats.ip.burst, 3);
+    assert.equal(stats.discoveryMiss.perMinute, 60);
+    assert.ok(stats.ip.exhaustedKeys >= 1);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Rules are read once at import, so the custom ones must be in place first
+process.env.REDACTION_RULES = JSON.stringify({ 'metadata.internal_note': 'remove', 'metadata.email': 'keep', 'card_*': 'mask' });
+const { redact, redactStoredMessage, hashValue, maskValue } = await import('../services/redaction.js');
+
+test('emails are hashed consistently, whatever their case', () => {
+    const { customer } = redact({ customer: { email: 'Ada@Example.com' } });
+
+    assert.match(customer.email, /^hash:[0-9a-f]{16}$/);
+    assert.equal(customer.email, hashValue('ada@example.com'));
+    assert.notEqual(hashValue('ada@example.com'), hashValue('bob@example.com'));
+});
+
+test('masking keeps an email initial and domain and the last digits of a phone number', () => {
+    assert.equal(maskValue('ada@example.com'), 'a***@example.com');
+    assert.equal(maskValue('+233 24 123 4567'), '*********567');
+    assert.equal(maskValue(4084084084084081), '[redacted]');
+});
+
+test('a rule path matches the end of a field path, at any depth and inside arrays', () => {
+    const redacted = redact({
+        data: {
+            authorization: { bin: '408408', last4: '4081', brand: 'visa' },
+            history: [{ phone: '0241234567' }]
+        }
+    });
+
+    assert.equal(redacted.data.authorization.bin, '[redacted]');
+    assert.equal(redacted.data.authorization.brand, 'visa');
+    assert.equal(redacted.data.history[0].phone, '*******567');
+});
+
+test('wildcards match within a segment', () => {
+    const redacted = redact({ headers: { 'x-paystack-signature': 'abcdef0123' }, card_number: '4084084084084081' });
+
+    assert.equal(redacted.headers['x-paystack-signature'], '[redacted]');
+    assert.equal(redacted.card_number, '*************081');
+});
+
+test('custom rules are merged over the defaults and the longest matching path wins', () => {
+    const redacted = redact({
+        customer: { email: 'ada@example.com' },
+        metadata: { email: 'ops@example.com', internal_note: 'vip', plan: 'gold' }
+    });
+
+    assert.match(redacted.customer.email, /^hash:/);
+    assert.equal(redacted.metadata.email, 'ops@example.com');
+    assert.equal('internal_note' in redacted.metadata, false);
+    assert.equal(redacted.metadata.plan, 'gold');
+});
+
+test('redaction returns a copy and leaves nulls alone', () => {
+    const payload = { customer: { email: 'ada@example.com', phone: null } };
+    const redacted = redact(payload);
+
+    assert.equal(payload.customer.email, 'ada@example.com');
+    assert.equal(redacted.customer.phone, null);
+});
+
+test('stored messages drop the raw body and redact payload and headers', () => {
+    const stored = redactStoredMessage({
+        payload: { data: { customer: { email: 'ada@example.com' } } },
+        headers: { 'x-paystack-signature': 'abcdef0123' }
+    });
+
+    assert.equal(stored.rawBody, null);
+    assert.equal(stored.payloadRedacted, true);
+    assert.match(stored.payload.data.customer.email, /^hash:/);
+    assert.equal(stored.headers['x-paystack-signature'], '[redacted]');
+});
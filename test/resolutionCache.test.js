@@ -0,0 +1,54 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { lookup, remember, rememberNotFound, listEntries, invalidateSystem, getCacheStats } from '../services/resolutionCache.js';
+
+test('a remembered owner is a hit until its TTL runs out', (t) => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    t.after(() => mock.timers.reset());
+
+    remember('REF-OWNED', 'tickets');
+    assert.equal(lookup('REF-OWNED').systemId, 'tickets');
+
+    mock.timers.tick(24 * 3600000);
+    assert.equal(lookup('REF-OWNED'), null);
+    assert.deepEqual(listEntries({ reference: 'REF-OWNED' }), []);
+});
+
+test('a negative entry answers for a minute, then lets discovery run again', (t) => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    t.after(() => mock.timers.reset());
+
+    rememberNotFound('REF-UNKNOWN');
+    assert.equal(lookup('REF-UNKNOWN').negative, true);
+    assert.equal(lookup('REF-UNKNOWN').systemId, null);
+
+    mock.timers.tick(60000);
+    assert.equal(lookup('REF-UNKNOWN'), null);
+});
+
+test('lookups are counted as hits, negative hits and misses', () => {
+    const before = getCacheStats();
+
+    remember('REF-STATS', 'tickets');
+    rememberNotFound('REF-STATS-NEG');
+    lookup('REF-STATS');
+    lookup('REF-STATS-NEG');
+    lookup('REF-STATS-MISSING');
+
+    const after = getCacheStats();
+    assert.equal(after.hits - before.hits, 1);
+    assert.equal(after.negative_hits - before.negative_hits, 1);
+    assert.equal(after.misses - before.misses, 1);
+});
+
+test('invalidating a system drops its entries and every negative one, keeping other owners', () => {
+    invalidateSystem('nobody'); // negative entries left by the tests above
+    remember('REF-A', 'voting');
+    remember('REF-B', 'nominations');
+    rememberNotFound('REF-C');
+
+    assert.equal(invalidateSystem('voting'), 2);
+    assert.equal(lookup('REF-A'), null);
+    assert.equal(lookup('REF-C'), null);
+    assert.equal(lookup('REF-B').systemId, 'nominations');
+});
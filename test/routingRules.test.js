@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRule, createRule, updateRule, deleteRule, listRules, matchRule } from '../services/routingRules.js';
+
+const systems = [
+    { id: 'tickets', enabled: true },
+    { id: 'nominations', enabled: true },
+    { id: 'retired', enabled: false }
+];
+
+const context = {
+    provider: 'paystack',
+    event: 'charge.success',
+    reference: 'NOM-1001',
+    customerCode: 'CUS_1',
+    subaccount: 'ACCT_9',
+    metadata: { custom_fields: { system: 'nominations' }, seats: 2 }
+};
+
+test('a valid rule has no errors', () => {
+    assert.deepEqual(validateRule({
+        name: 'Nominations',
+        systemId: 'nominations',
+        enabled: true,
+        priority: 10,
+        match: { provider: 'paystack', event: 'charge.*', referencePrefix: 'NOM-', metadata: { 'custom_fields.system': 'nominations', seats: 2 } }
+    }, systems), []);
+});
+
+test('match fields must be non-empty strings and metadata scalar pairs', () => {
+    const errors = validateRule({
+        systemId: 'tickets',
+        match: { event: ['charge.success'], provider: '', customerCode: 42, metadata: { nested: { a: 1 } } }
+    }, systems);
+
+    assert.ok(errors.includes('match.event must be a non-empty string'));
+    assert.ok(errors.includes('match.provider must be a non-empty string'));
+    assert.ok(errors.includes('match.customerCode must be a non-empty string'));
+    assert.ok(errors.some(error => error.startsWith('metadata must be a non-empty object')));
+    assert.ok(validateRule({ systemId: 'tickets', match: { metadata: {} } }, systems).some(error => error.startsWith('metadata must')));
+    assert.deepEqual(validateRule({ systemId: 'tickets', match: 'charge.success' }, systems), ['match must be an object of conditions']);
+});
+
+test('name, enabled, priority, systemId and the regex are checked', () => {
+    const errors = validateRule({ name: 7, enabled: 'yes', priority: 'high', systemId: 'ghost', match: { referenceRegex: '(' } }, systems);
+
+    assert.ok(errors.includes('name must be a string'));
+    assert.ok(errors.includes('enabled must be true or false'));
+    assert.ok(errors.includes('priority must be a number'));
+    assert.ok(errors.includes('systemId ghost is not a registered system'));
+    assert.ok(errors.some(error => error.startsWith('referenceRegex is invalid')));
+    assert.ok(validateRule({ systemId: 'tickets', match: {} }, systems).some(error => error.startsWith('match needs at least one')));
+    assert.ok(validateRule({ systemId: 'tickets', match: { colour: 'red' } }, systems).includes('Unknown match fields: colour'));
+});
+
+test('the lowest-priority matching rule wins, then the oldest', () => {
+    const broad = createRule({ name: 'Broad', systemId: 'tickets', match: { event: 'charge.*' }, priority: 50 });
+    const specific = createRule({ name: 'Specific', systemId: 'nominations', match: { referencePrefix: 'NOM-', metadata: { 'custom_fields.system': 'nominations' } }, priority: 10 });
+    const later = createRule({ name: 'Later', systemId: 'tickets', match: { provider: 'paystack' }, priority: 10 });
+
+    assert.deepEqual(listRules().map(rule => rule.id), [specific.id, later.id, broad.id]);
+    assert.equal(matchRule(context, systems).rule.id, specific.id);
+    assert.equal(matchRule({ ...context, reference: 'TKT-1' }, systems).rule.id, later.id);
+    assert.equal(matchRule({ ...context, provider: 'stripe', reference: 'TKT-1' }, systems).rule.id, broad.id);
+    assert.equal(matchRule({ ...context, provider: 'stripe', event: 'transfer.success', reference: 'TKT-1' }, systems).rule, null);
+
+    [broad, specific, later].forEach(rule => deleteRule(rule.id));
+});
+
+test('disabled rules are ignored and rules for unavailable systems are skipped', () => {
+    const off = createRule({ systemId: 'tickets', match: { customerCode: 'CUS_1' }, priority: 1, enabled: false });
+    const toRetired = createRule({ systemId: 'retired', match: { subaccount: 'ACCT_9' }, priority: 2 });
+    const fallback = createRule({ systemId: 'tickets', match: { referenceRegex: '^NOM-\\d+$' }, priority: 3 });
+
+    const { rule, system, skipped } = matchRule(context, systems);
+    assert.equal(rule.id, fallback.id);
+    assert.equal(system.id, 'tickets');
+    assert.deepEqual(skipped, [{ rule_id: toRetired.id, system_id: 'retired' }]);
+
+    updateRule(off.id, { systemId: 'tickets', match: { customerCode: 'CUS_1' }, priority: 1, enabled: true });
+    assert.equal(matchRule(context, systems).rule.id, off.id);
+
+    [off, toRetired, fallback].forEach(r => deleteRule(r.id));
+});
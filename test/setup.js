@@ -0,0 +1,14 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Loaded with --import before every test file: journals and log files go to a scratch
+// directory instead of the checkout, and only errors reach the console
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-dispatcher-test-'));
+
+process.env.DATA_DIR = path.join(scratchDir, 'data');
+process.env.LOG_DIR = path.join(scratchDir, 'logs');
+process.env.LOG_LEVEL ??= 'error';
+process.env.REDACTION_HASH_KEY ??= 'test-hash-key';
+
+process.on('exit', () => fs.rmSync(scratchDir, { recursive: true, force: true }));
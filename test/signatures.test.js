@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { loadSecrets, computeHmac, findMatchingSecret, signDispatch, generateSigningSecret, maskSecret } from '../services/signatures.js';
+
+const body = '{"event":"charge.success"}';
+
+test('findMatchingSecret matches the old and the new key while a secret rotates', () => {
+    const secrets = ['sk_new', 'sk_old'];
+
+    assert.equal(findMatchingSecret('sha512', secrets, body, computeHmac('sha512', 'sk_new', body)), 0);
+    assert.equal(findMatchingSecret('sha512', secrets, body, computeHmac('sha512', 'sk_old', body)), 1);
+    assert.equal(findMatchingSecret('sha512', secrets, body, computeHmac('sha512', 'sk_retired', body)), -1);
+});
+
+test('findMatchingSecret rejects a signature over a different body or that is not hex', () => {
+    const signature = computeHmac('sha512', 'sk_new', body);
+
+    assert.equal(findMatchingSecret('sha512', ['sk_new'], `${body} `, signature), -1);
+    assert.equal(findMatchingSecret('sha512', ['sk_new'], body, signature.slice(0, 64)), -1);
+    assert.equal(findMatchingSecret('sha512', ['sk_new'], body, 'not-hex'), -1);
+    assert.equal(findMatchingSecret('sha512', ['sk_new'], body, undefined), -1);
+});
+
+test('with no secret configured nothing matches', () => {
+    delete process.env.TEST_UNSET_SECRET;
+    process.env.TEST_BLANK_SECRETS = ' , ';
+
+    assert.deepEqual(loadSecrets('TEST_UNSET_SECRET', 'TEST_BLANK_SECRETS'), []);
+    assert.equal(findMatchingSecret('sha512', [], body, computeHmac('sha512', '', body)), -1);
+});
+
+test('loadSecrets splits comma-separated lists, trims them and drops duplicates in order', () => {
+    process.env.TEST_SECRET = 'sk_new';
+    process.env.TEST_SECRETS = ' sk_new , sk_old,';
+
+    assert.deepEqual(loadSecrets('TEST_SECRET', 'TEST_SECRETS'), ['sk_new', 'sk_old']);
+});
+
+test('dispatch signatures are an HMAC-SHA256 of timestamp, delivery id and body', () => {
+    const secret = generateSigningSecret();
+    const expected = crypto.createHmac('sha256', secret).update(`1760000000.dlv-1.${body}`).digest('hex');
+
+    assert.equal(signDispatch(secret, 1760000000, 'dlv-1', body), expected);
+    assert.notEqual(signDispatch(secret, 1760000001, 'dlv-1', body), expected);
+    assert.notEqual(signDispatch(secret, 1760000000, 'dlv-2', body), expected);
+    assert.notEqual(signDispatch(generateSigningSecret(), 1760000000, 'dlv-1', body), expected);
+});
+
+test('signing secrets are random and only their ends are ever shown', () => {
+    const secret = generateSigningSecret();
+
+    assert.match(secret, /^wds_[A-Za-z0-9_-]{43}$/);
+    assert.notEqual(secret, generateSigningSecret());
+    assert.equal(maskSecret(secret), `wds_…${secret.slice(-4)}`);
+    assert.equal(maskSecret(null), null);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateSystem,
+    listSystems,
+    getSystem,
+    createSystem,
+    replaceSystem,
+    patchSystem,
+    rotateSigningSecret,
+    deleteSystem,
+    toPublicSystem,
+    acceptsEvent,
+    systemsForEvent,
+    subscribedSystems
+} from '../services/systems.js';
+import { matchesEventPattern, isEventPatternList } from '../services/eventPatterns.js';
+
+const definition = (overrides = {}) => ({ id: 'voting', name: 'Voting', baseUrl: 'https://voting.example.com/', ...overrides });
+
+test('an empty registry is seeded with the default systems, each with its own signing secret', () => {
+    const seeded = listSystems().filter(s => s.id.startsWith('cunsa-'));
+
+    assert.equal(seeded.length, 2);
+    assert.ok(seeded.every(s => s.signingSecret.startsWith('wds_')));
+    assert.notEqual(seeded[0].signingSecret, seeded[1].signingSecret);
+});
+
+test('a full definition needs id, name and baseUrl and rejects unknown or malformed fields', () => {
+    assert.deepEqual(validateSystem(definition()), []);
+    assert.deepEqual(validateSystem({}), ['id is required', 'name is required', 'baseUrl is required']);
+    assert.deepEqual(validateSystem(definition({ secret: 'x' })), ['Unknown fields: secret']);
+    assert.deepEqual(validateSystem(definition({ baseUrl: 'https://voting.example.com/?key=1' })), ['baseUrl must be an http(s) URL without query string or fragment']);
+    assert.deepEqual(validateSystem(definition({ id: '../etc' })), ['id may only contain letters, numbers, "-" and "_"']);
+    assert.deepEqual(validateSystem(definition({ timeout: 500 })), ['timeout must be an integer between 1000 and 120000 ms']);
+    assert.deepEqual(validateSystem(definition({ webhookPath: 'hooks' })), ['webhookPath must start with "/"']);
+});
+
+test('a partial update checks only the fields it carries', () => {
+    assert.deepEqual(validateSystem({ enabled: false }, { partial: true }), []);
+    assert.deepEqual(validateSystem({ enabled: 'no' }, { partial: true }), ['enabled must be true or false']);
+});
+
+test('created systems get defaults, a trimmed baseUrl and a secret the public view masks', () => {
+    const system = createSystem(definition());
+
+    assert.equal(system.baseUrl, 'https://voting.example.com');
+    assert.equal(system.webhookPath, '/api/webhooks/paystack');
+    assert.equal(system.enabled, true);
+    assert.deepEqual(system.events, ['*']);
+    assert.notEqual(toPublicSystem(system).signingSecret, system.signingSecret);
+    assert.deepEqual(getSystem('voting'), system);
+});
+
+test('replace resets omitted fields but keeps the signing secret and creation time', () => {
+    const existing = createSystem(definition({ id: 'replace-me', timeout: 5000 }));
+    const replaced = replaceSystem('replace-me', definition({ name: 'Replaced' }));
+
+    assert.equal(replaced.name, 'Replaced');
+    assert.equal(replaced.timeout, 30000);
+    assert.equal(replaced.signingSecret, existing.signingSecret);
+    assert.equal(replaced.createdAt, existing.createdAt);
+});
+
+test('patch changes only the given fields, rotation issues a new secret, delete removes the system', () => {
+    const existing = createSystem(definition({ id: 'patch-me', timeout: 5000 }));
+
+    const patched = patchSystem('patch-me', { enabled: false });
+    assert.equal(patched.enabled, false);
+    assert.equal(patched.timeout, 5000);
+
+    assert.notEqual(rotateSigningSecret('patch-me').signingSecret, existing.signingSecret);
+
+    deleteSystem('patch-me');
+    assert.equal(getSystem('patch-me'), undefined);
+});
+
+test('event patterns match exactly, by family or everything', () => {
+    assert.equal(matchesEventPattern('charge.success', 'charge.success'), true);
+    assert.equal(matchesEventPattern('charge.success', 'charge.failed'), false);
+    assert.equal(matchesEventPattern('charge.*', 'charge.dispute.create'), true);
+    assert.equal(matchesEventPattern('charge.*', 'chargeback.created'), false);
+    assert.equal(matchesEventPattern('*', 'transfer.success'), true);
+    assert.equal(matchesEventPattern('charge.*', null), false);
+
+    assert.equal(isEventPatternList(['charge.*']), true);
+    assert.equal(isEventPatternList([]), false);
+    assert.equal(isEventPatternList(['charge.*', ' ']), false);
+    assert.equal(isEventPatternList('charge.*'), false);
+});
+
+test('systems without a subscription list accept every event', () => {
+    assert.equal(acceptsEvent({ id: 'legacy' }, 'subscription.create'), true);
+    assert.equal(acceptsEvent({ id: 'charges', events: ['charge.*'] }, 'subscription.create'), false);
+});
+
+test('routing candidates are the enabled subscribers in priority order; subscriptions include disabled systems', () => {
+    createSystem(definition({ id: 'refunds-late', events: ['refund.*'], priority: 500 }));
+    createSystem(definition({ id: 'refunds-first', events: ['refund.processed'], priority: 10 }));
+    createSystem(definition({ id: 'refunds-off', events: ['refund.*'], enabled: false }));
+    createSystem(definition({ id: 'charges-only', events: ['charge.*'] }));
+
+    const candidates = systemsForEvent('refund.processed').map(s => s.id).filter(id => id.startsWith('refunds-') || id === 'charges-only');
+    assert.deepEqual(candidates, ['refunds-first', 'refunds-late']);
+
+    const subscribed = subscribedSystems('refund.processed').map(s => s.id);
+    assert.ok(subscribed.includes('refunds-off'));
+    assert.ok(!subscribed.includes('charges-only'));
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listTestEventTemplates, validateTestEvent, buildTestEvent } from '../services/testEvents.js';
+
+test('every listed template builds a Paystack-shaped event', () => {
+    const templates = listTestEventTemplates();
+
+    assert.ok(templates.length > 0);
+    templates.forEach(({ event, sample }) => {
+        assert.deepEqual(validateTestEvent(event), []);
+        assert.equal(sample.event, event);
+        assert.equal(typeof sample.data, 'object');
+    });
+});
+
+test('only own template names are accepted', () => {
+    for (const template of ['toString', 'constructor', '__proto__', 'hasOwnProperty', 'charge.unknown', 42, undefined]) {
+        assert.match(validateTestEvent(template).join(), /template must be one of/, String(template));
+    }
+});
+
+test('overrides are type-checked and unknown ones rejected', () => {
+    assert.deepEqual(validateTestEvent('charge.success', { reference: 'REF-1', amount: 5000, metadata: { seat: 'A1' } }), []);
+
+    const errors = validateTestEvent('charge.success', { reference: ' ', amount: 1.5, metadata: [], colour: 'red' });
+    assert.ok(errors.includes('Unknown overrides: colour'));
+    assert.ok(errors.includes('reference must be a non-empty string'));
+    assert.ok(errors.some(error => error.startsWith('amount must be a positive integer')));
+    assert.ok(errors.includes('metadata must be an object'));
+    assert.deepEqual(validateTestEvent('charge.success', []), ['overrides must be an object']);
+});
+
+test('overrides shape the generated event, with data merged last', () => {
+    const event = buildTestEvent('charge.success', { reference: 'REF-1', amount: 5000, data: { status: 'abandoned' } });
+
+    assert.equal(event.data.reference, 'REF-1');
+    assert.equal(event.data.amount, 5000);
+    assert.equal(event.data.status, 'abandoned');
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import logger, { logsDir } from '../logger.js';
+import { createDelivery } from '../services/deliveries.js';
+import { buildReferenceTimeline } from '../services/timeline.js';
+
+const logLine = (type, timestamp, extra = {}) => JSON.stringify({ level: 'info', message: type, type, requestId: 'req-tl', reference: 'REF-TL', timestamp, ...extra });
+const shift = (iso, ms) => new Date(Date.parse(iso) + ms).toISOString();
+
+test('the webhook log is stamped in ISO milliseconds', async () => {
+    logger.info('timestamp probe', { type: 'timestamp_probe' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const probe = fs.readFileSync(path.join(logsDir, 'webhooks.log'), 'utf8')
+        .split('\n').filter(Boolean).map(line => JSON.parse(line))
+        .find(entry => entry.type === 'timestamp_probe');
+
+    assert.match(probe.timestamp, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+});
+
+test('log lines and journal entries interleave to the millisecond, ties keeping log lines first', async () => {
+    const delivery = createDelivery({
+        requestId: 'req-tl',
+        system: { id: 'tickets' },
+        provider: 'paystack',
+        event: 'charge.success',
+        reference: 'REF-TL',
+        payload: {},
+        rawBody: '{}',
+        headers: {}
+    });
+
+    fs.appendFileSync(path.join(logsDir, 'webhooks.log'), [
+        logLine('webhook_received', shift(delivery.createdAt, -5)),
+        logLine('system_found', delivery.createdAt),
+        logLine('webhook_response_sent', shift(delivery.createdAt, 3))
+    ].join('\n') + '\n');
+
+    const { timeline, summary } = await buildReferenceTimeline('REF-TL');
+
+    assert.deepEqual(timeline.map(e => e.type), ['webhook_received', 'system_found', 'delivery_created', 'webhook_response_sent']);
+    assert.equal(summary.webhooksReceived, 1);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTransform, reshapesBody, applyTransform, transformHeaders } from '../services/transforms.js';
+
+const source = {
+    provider: 'paystack',
+    event: 'charge.success',
+    reference: 'ref-1',
+    amount: 250000,
+    currency: 'NGN',
+    payload: { event: 'charge.success', data: { reference: 'ref-1', status: 'success', customer: { email: 'ada@example.com' } } }
+};
+
+test('a valid transform has no errors and null clears it', () => {
+    assert.deepEqual(validateTransform({
+        fields: {
+            ref: 'reference',
+            'amount.major': { path: 'amount', convert: 'minorToMajor' },
+            note: { template: '{{provider}}:{{reference}}' },
+            version: { value: 2 }
+        },
+        strip: ['payload.data.customer'],
+        headers: { 'X-Tenant': 'acme' }
+    }), []);
+    assert.deepEqual(validateTransform(null), []);
+});
+
+test('prototype segments are rejected in source paths, output keys and strip paths', () => {
+    for (const transform of [
+        { fields: { out: '__proto__.polluted' } },
+        { fields: { out: { path: 'payload.constructor.prototype' } } },
+        { fields: { '__proto__.polluted': { value: true } } },
+        { fields: { 'a.constructor': 'reference' } },
+        { strip: ['payload.__proto__'] }
+    ]) {
+        assert.notDeepEqual(validateTransform(transform), [], JSON.stringify(transform));
+    }
+});
+
+test('applying a transform never writes to Object.prototype or reads inherited values', () => {
+    const body = applyTransform({ fields: { 'nested.toString': 'reference', inherited: 'payload.hasOwnProperty' } }, source);
+
+    assert.equal(body.nested.toString, 'ref-1');
+    assert.equal(body.inherited, null);
+    assert.equal({}.toString, Object.prototype.toString);
+});
+
+test('fields build the body from mapped values, conversions, templates and constants', () => {
+    const body = applyTransform({
+        fields: {
+            ref: 'reference',
+            'amount.major': { path: 'amount', convert: 'minorToMajor' },
+            status: 'payload.data.status',
+            missing: { path: 'payload.data.nope', default: 'n/a' },
+            note: { template: '{{provider}}:{{reference}}' },
+            version: { value: 2 }
+        }
+    }, source);
+
+    assert.deepEqual(body, { ref: 'ref-1', amount: { major: 2500 }, status: 'success', missing: 'n/a', note: 'paystack:ref-1', version: 2 });
+});
+
+test('strip removes paths from a copy of the payload', () => {
+    const body = applyTransform({ strip: ['data.customer'] }, source);
+
+    assert.equal(body.data.customer, undefined);
+    assert.equal(source.payload.data.customer.email, 'ada@example.com');
+    assert.equal(reshapesBody({ strip: ['data.customer'] }), true);
+    assert.equal(reshapesBody({ headers: { 'X-Tenant': 'acme' } }), false);
+});
+
+test('header specs are checked for reserved names, line breaks and the env prefix', () => {
+    process.env.DISPATCH_HEADER_TEST_TOKEN = 'secret';
+
+    assert.deepEqual(validateTransform({ headers: { Authorization: { env: 'DISPATCH_HEADER_TEST_TOKEN' } } }), []);
+    assert.notDeepEqual(validateTransform({ headers: { Authorization: { env: 'PAYSTACK_SECRET_KEY' } } }), []);
+    assert.notDeepEqual(validateTransform({ headers: { Authorization: { env: 'DISPATCH_HEADER_UNSET' } } }), []);
+    assert.notDeepEqual(validateTransform({ headers: { 'Content-Type': 'text/plain' } }), []);
+    assert.notDeepEqual(validateTransform({ headers: { 'X-Dispatcher-Signature': 'forged' } }), []);
+    assert.notDeepEqual(validateTransform({ headers: { 'X-Tenant': 'a\r\nInjected: 1' } }), []);
+});
+
+test('env-backed headers are read at send time and only from DISPATCH_HEADER_ variables', () => {
+    process.env.DISPATCH_HEADER_TEST_TOKEN = 'secret';
+    const transform = { headers: { 'X-Tenant': 'acme', Authorization: { env: 'DISPATCH_HEADER_TEST_TOKEN' } } };
+
+    assert.deepEqual(transformHeaders(transform), { 'X-Tenant': 'acme', Authorization: 'secret' });
+    assert.deepEqual(transformHeaders(transform, { preview: true }), { 'X-Tenant': 'acme', Authorization: '<DISPATCH_HEADER_TEST_TOKEN>' });
+
+    // Stored before the prefix rule existed
+    assert.throws(() => transformHeaders({ headers: { Authorization: { env: 'PAYSTACK_SECRET_KEY' } } }), /not a DISPATCH_HEADER_ variable/);
+    delete process.env.DISPATCH_HEADER_TEST_TOKEN;
+    assert.throws(() => transformHeaders(transform), /not set/);
+});